@@ -1,12 +1,22 @@
 import express from "express"
 import cors from "cors"
 import cookieParser from "cookie-parser"
+import { requestLogger } from "./middlewares/requestLogger.middleware.js"
 
 const app = express()
 
+// behind a load balancer req.ip (used by rate limiting) must come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+    app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY)
+}
+
+// correlation id and access log, first so every request is covered
+app.use(requestLogger)
+
 app.use(cors({
     origin: process.env.CORS_ORIGIN,
-    credentials: true
+    credentials: true,
+    exposedHeaders: ["X-Request-Id"]
 }))
 
 app.use(express.json({limit: "16kb"}))
@@ -15,23 +25,20 @@ app.use(express.static("public"))
 app.use(cookieParser())
 
 //import router
-import userRouter from './routes/user.routes.js'
-import videoRouter from './routes/video.routes.js'
-import commentRouter from "./routes/comment.routes.js"
-import likeRouter from "./routes/like.routes.js"
-import playlistRouter from "./routes/playlist.routes.js"
-import healthcheckRouter from "./routes/healthcheck.routes.js"
-import tweetRouter from "./routes/tweet.routes.js"
-import subscriptionRouter from "./routes/subscription.routes.js"
+import { API_PREFIX, apiRouters } from "./routes/index.js"
+import docsRouter from "./routes/docs.routes.js"
+import { notFoundHandler, errorHandler } from "./middlewares/error.middleware.js"
 
 //declare route
-app.use('/api/v1/users', userRouter)
-app.use("/api/v1/videos", videoRouter)
-app.use("/api/v1/tweets", tweetRouter)
-app.use("/api/v1/subscriptions", subscriptionRouter)
-app.use("/api/v1/comments", commentRouter)
-app.use("/api/v1/likes", likeRouter)
-app.use("/api/v1/playlist", playlistRouter)
-app.use("/api/v1/healthcheck", healthcheckRouter)
+for (const [path, router] of Object.entries(apiRouters)) {
+    app.use(`${API_PREFIX}${path}`, router)
+}
+
+// OpenAPI document and the interactive docs
+app.use(API_PREFIX, docsRouter)
+
+//handle unknown routes and errors
+app.use(notFoundHandler)
+app.use(errorHandler)
 
 export { app }
\ No newline at end of file
@@ -1 +1,64 @@
-export const DB_NAME = "streamvid"
\ No newline at end of file
+export const DB_NAME = "streamvid"
+
+// A repeat play by the same user/session within this window is not a new view
+export const VIEW_DEDUPE_WINDOW_SECONDS = 6 * 60 * 60
+export const WATCH_HISTORY_LIMIT = 100
+
+export const USER_ROLES = {
+    USER: "user",
+    MODERATOR: "moderator",
+    ADMIN: "admin"
+}
+
+// Resumable uploads
+export const UPLOAD_CHUNK_SIZE = 5 * 1024 * 1024
+export const UPLOAD_SESSION_TTL_HOURS = 24
+
+// Upload size limits, overridable with MAX_IMAGE_UPLOAD_MB / MAX_VIDEO_UPLOAD_MB
+const MB = 1024 * 1024
+export const MAX_IMAGE_UPLOAD_SIZE = (Number(process.env.MAX_IMAGE_UPLOAD_MB) || 5) * MB
+export const MAX_VIDEO_UPLOAD_SIZE = (Number(process.env.MAX_VIDEO_UPLOAD_MB) || 2048) * MB
+
+// Trending windows and how often their rankings are rebuilt
+export const TRENDING_WINDOWS = {
+    "24h": 24 * 60 * 60 * 1000,
+    "7d": 7 * 24 * 60 * 60 * 1000,
+    "30d": 30 * 24 * 60 * 60 * 1000
+}
+export const TRENDING_REFRESH_MINUTES = 10
+export const TRENDING_SIZE = 200
+
+// Replies can nest this many levels below a top-level comment
+export const MAX_COMMENT_DEPTH = 3
+
+// Lifetime of the single-use tokens sent by email
+export const TOKEN_PURPOSES = {
+    VERIFY_EMAIL: "verify-email",
+    RESET_PASSWORD: "reset-password"
+}
+export const EMAIL_VERIFICATION_TTL_HOURS = 24
+export const PASSWORD_RESET_TTL_MINUTES = 30
+
+// Rate limit policies: at most `max` requests per `windowMs`, counted per
+// client IP or per logged-in user (IP when anonymous)
+const MINUTE = 60 * 1000
+export const RATE_LIMITS = {
+    login: { windowMs: 15 * MINUTE, max: 20, keyBy: "ip" },
+    register: { windowMs: 60 * MINUTE, max: 10, keyBy: "ip" },
+    refresh: { windowMs: 15 * MINUTE, max: 60, keyBy: "ip" },
+    accountEmail: { windowMs: 60 * MINUTE, max: 10, keyBy: "ip" },
+    comment: { windowMs: MINUTE, max: 10, keyBy: "user" },
+    tweet: { windowMs: MINUTE, max: 5, keyBy: "user" },
+    reaction: { windowMs: MINUTE, max: 60, keyBy: "user" }
+}
+
+// After this many failed logins in a row an account is locked, starting at
+// the base duration and doubling with every further failure up to the max
+export const LOGIN_LOCKOUT = {
+    threshold: 5,
+    baseMs: MINUTE,
+    maxMs: 60 * MINUTE
+}
+
+// Completed and failed jobs are kept this long for inspection, then removed
+export const FINISHED_JOB_TTL_SECONDS = 7 * 24 * 60 * 60
@@ -0,0 +1,103 @@
+import { User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { USER_ROLES } from "../constants.js";
+import {
+    deleteVideoCascade,
+    deleteCommentCascade,
+    deleteTweetCascade,
+    deletePlaylistCascade
+} from "../services/deletion.service.js";
+
+// List users, optionally filtered by role or a username/email search
+const listUsers = asyncHandler(async (req, res) => {
+    const { page, limit, role, q } = req.query;
+
+    const filter = {};
+    if (role) {
+        filter.role = role;
+    }
+    if (q) {
+        const escaped = q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        filter.$or = [
+            { username: { $regex: escaped, $options: "i" } },
+            { email: { $regex: escaped, $options: "i" } }
+        ];
+    }
+
+    const [total, users] = await Promise.all([
+        User.countDocuments(filter),
+        User.find(filter)
+            .select("-password -watchHistory")
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+    ]);
+
+    return res.status(200).json(new ApiResponse(200, {
+        users,
+        meta: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    }, "Users fetched successfully"));
+});
+
+// Promote or demote a user
+const updateUserRole = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (userId === req.user._id.toString()) {
+        throw new ApiError(400, "You cannot change your own role");
+    }
+
+    // the /admin router is unusable without one, and only an admin can appoint another
+    if (role !== USER_ROLES.ADMIN) {
+        const otherAdmins = await User.countDocuments({ role: USER_ROLES.ADMIN, _id: { $ne: userId } });
+        if (!otherAdmins) {
+            throw new ApiError(409, "Cannot demote the last remaining admin");
+        }
+    }
+
+    const user = await User.findByIdAndUpdate(
+        userId,
+        { $set: { role } },
+        { new: true }
+    ).select("-password");
+
+    if (!user) {
+        throw new ApiError(404, "User not found");
+    }
+
+    return res.status(200).json(new ApiResponse(200, user, "User role updated successfully"));
+});
+
+// Builds a handler that deletes any document of the model regardless of owner
+const forceDelete = (Model, label, cascade) => asyncHandler(async (req, res) => {
+    const doc = await Model.findById(req.params.id);
+
+    if (!doc) {
+        throw new ApiError(404, `${label} not found`);
+    }
+
+    await cascade(doc);
+
+    return res.status(200).json(new ApiResponse(200, null, `${label} deleted successfully`));
+});
+
+const deleteAnyVideo = forceDelete(Video, "Video", deleteVideoCascade);
+const deleteAnyComment = forceDelete(Comment, "Comment", deleteCommentCascade);
+const deleteAnyTweet = forceDelete(Tweet, "Tweet", deleteTweetCascade);
+const deleteAnyPlaylist = forceDelete(Playlist, "Playlist", deletePlaylistCascade);
+
+export {
+    listUsers,
+    updateUserRole,
+    deleteAnyVideo,
+    deleteAnyComment,
+    deleteAnyTweet,
+    deleteAnyPlaylist
+};
@@ -1,182 +1,302 @@
 import mongoose from "mongoose";
 import { Comment } from "../models/comment.model.js";
+import { Video } from "../models/video.model.js";
+import { Tweet } from "../models/tweet.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import { deleteCommentCascade } from "../services/deletion.service.js";
+import { viewerReactionStages } from "../services/reaction.service.js";
+import { isOwner } from "../middlewares/ownership.middleware.js";
+import { MAX_COMMENT_DEPTH, USER_ROLES } from "../constants.js";
+
+
+// Owner details and the viewer's reaction for a page of comments
+const commentPipeline = (match, sort, viewerId) => [
+  { $match: match },
+  { $sort: sort },
+  {
+    $lookup: {
+      from: "users",
+      localField: "owner",
+      foreignField: "_id",
+      as: "owner",
+      pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }]
+    }
+  },
+  { $addFields: { owner: { $first: "$owner" } } },
+  ...viewerReactionStages("comment", viewerId)
+];
 
+// Video owners and admins see hidden comments; everyone else only their own
+const canModerate = (video, user) => isOwner(video, user) || user.role === USER_ROLES.ADMIN;
 
-const getVideoComments = asyncHandler(async (req, res) => {
-  const { videoId } = req.params;
-  const page = Math.max(Number(req.query.page || 1), 1);
-  const limit = Math.min(Math.max(Number(req.query.limit || 10), 1), 100); // cap limit to 100
-  const sort = req.query.sort === "oldest" ? { createdAt: 1 } : { createdAt: -1 };
-
-  // Validate videoId
-  if (!mongoose.isValidObjectId(videoId)) {
-    throw new ApiError(400, "Invalid videoId");
-  }
-
-  // Build aggregate pipeline to match comments for the video and populate owner
-  const aggregate = Comment.aggregate([
-    { $match: { video: mongoose.Types.ObjectId(videoId) } },
-    { $sort: sort },
-    // lookup owner (user) basic fields - change fields as per your User model
-    {
-      $lookup: {
-        from: "users", // collection name in MongoDB (usually the plural lowercase model name)
-        localField: "owner",
-        foreignField: "_id",
-        as: "owner"
-      }
-    },
-    { $unwind: { path: "$owner", preserveNullAndEmptyArrays: true } },
-    // project fields to return — avoid returning sensitive owner fields like password
-    {
-      $project: {
-        content: 1,
-        video: 1,
-        createdAt: 1,
-        updatedAt: 1,
-        "owner._id": 1,
-        "owner.name": 1,
-        "owner.username": 1,
-        "owner.avatar": 1
-      }
-    }
-  ]);
+const hiddenFilter = (viewerId, moderator) =>
+  moderator ? {} : { $or: [{ isHidden: { $ne: true } }, { owner: viewerId }] };
 
-  // Use mongoose-aggregate-paginate-v2 through model's aggregatePaginate helper
-  const options = {
+const paginateComments = async (pipeline, { page, limit }) => {
+  const result = await Comment.aggregatePaginate(Comment.aggregate(pipeline), {
     page,
     limit,
-    // custom labels (optional)
     customLabels: {
       totalDocs: "total",
       docs: "comments",
-      limit: "perPage",
-      page: "page",
-      totalPages: "totalPages",
-      nextPage: "nextPage",
-      prevPage: "prevPage"
+      limit: "perPage"
+    }
+  });
+
+  return {
+    comments: result.comments,
+    meta: {
+      total: result.total,
+      page: result.page,
+      perPage: result.perPage,
+      totalPages: result.totalPages,
+      nextPage: result.nextPage,
+      prevPage: result.prevPage
     }
   };
+};
 
-  const result = await Comment.aggregatePaginate(aggregate, options);
+// Top-level comments on a video or tweet, pinned first; replies are fetched per thread
+const listCommentsOn = (field, Model) =>
+  asyncHandler(async (req, res) => {
+    const targetId = req.params[`${field}Id`];
+    const { page, limit } = req.query;
+    const sort = req.query.sort === "oldest" ? { createdAt: 1 } : { createdAt: -1 };
+
+    const target = await Model.findById(targetId).select("owner commentsEnabled");
+    if (!target) throw new ApiError(404, `${Model.modelName} not found`);
+
+    const moderator = field === "video" && canModerate(target, req.user);
+
+    const result = await paginateComments(
+      commentPipeline(
+        {
+          [field]: target._id,
+          parentComment: null,
+          ...hiddenFilter(req.user._id, moderator)
+        },
+        { isPinned: -1, ...sort },
+        req.user._id
+      ),
+      { page, limit }
+    );
+
+    if (field === "video") result.commentsEnabled = target.commentsEnabled;
+
+    return res.status(200).json(new ApiResponse(200, result, "Comments fetched"));
+  });
 
-  return res.status(200).json(
-    new ApiResponse(true, "Comments fetched", {
-      comments: result.comments,
-      meta: {
-        total: result.total,
-        page: result.page,
-        perPage: result.perPage,
-        totalPages: result.totalPages,
-        nextPage: result.nextPage,
-        prevPage: result.prevPage
-      }
-    })
+const getVideoComments = listCommentsOn("video", Video);
+const getTweetComments = listCommentsOn("tweet", Tweet);
+
+// Direct replies to a comment, oldest first so the conversation reads in order
+const getCommentReplies = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+  const { page, limit } = req.query;
+
+  const parent = await Comment.findById(commentId).select("video");
+  if (!parent) throw new ApiError(404, "Comment not found");
+
+  const video = parent.video ? await Video.findById(parent.video).select("owner") : null;
+  const moderator = Boolean(video) && canModerate(video, req.user);
+
+  const result = await paginateComments(
+    commentPipeline(
+      { parentComment: parent._id, ...hiddenFilter(req.user._id, moderator) },
+      { createdAt: 1 },
+      req.user._id
+    ),
+    { page, limit }
   );
-});
 
-const addComment = asyncHandler(async (req, res) => {
-  const { videoId } = req.params;
-  const { content } = req.body;
+  return res.status(200).json(new ApiResponse(200, result, "Replies fetched"));
+});
 
-  if (!mongoose.isValidObjectId(videoId)) {
-    throw new ApiError(400, "Invalid videoId");
-  }
+const commentOn = (field, Model) =>
+  asyncHandler(async (req, res) => {
+    const targetId = req.params[`${field}Id`];
+    const { content } = req.body;
 
-  if (!content || typeof content !== "string" || !content.trim()) {
-    throw new ApiError(400, "Content is required");
-  }
+    const target = await Model.findById(targetId).select("commentsEnabled");
+    if (!target) throw new ApiError(404, `${Model.modelName} not found`);
 
-  const comment = new Comment({
-    content: content.trim(),
-    video: mongoose.Types.ObjectId(videoId),
-    owner: mongoose.Types.ObjectId(req.user.id)
-  });
+    if (target.commentsEnabled === false) {
+      throw new ApiError(403, "Comments are turned off for this video");
+    }
 
-  await comment.save();
+    const comment = await Comment.create({
+      content,
+      [field]: targetId,
+      owner: req.user._id
+    });
 
-  // Optionally populate owner fields before returning
-  await comment.populate([
-    { path: "owner", select: "_id name username avatar" }
-  ]).execPopulate?.() /* backward compat */;
+    await comment.populate({ path: "owner", select: "username fullName avatar" });
 
-  return res.status(201).json(
-    new ApiResponse(true, "Comment added", { comment })
-  );
-});
+    return res.status(201).json(
+      new ApiResponse(201, comment, "Comment added")
+    );
+  });
 
+const addComment = commentOn("video", Video);
+const addTweetComment = commentOn("tweet", Tweet);
 
-const updateComment = asyncHandler(async (req, res) => {
+const addReply = asyncHandler(async (req, res) => {
   const { commentId } = req.params;
   const { content } = req.body;
 
-  if (!mongoose.isValidObjectId(commentId)) {
-    throw new ApiError(400, "Invalid commentId");
+  const parent = await Comment.findById(commentId);
+
+  if (!parent || parent.isDeleted) {
+    throw new ApiError(404, "Comment not found");
+  }
+
+  if (parent.depth >= MAX_COMMENT_DEPTH) {
+    throw new ApiError(400, `Replies can only be nested ${MAX_COMMENT_DEPTH} levels deep`);
   }
 
-  if (!content || typeof content !== "string" || !content.trim()) {
-    throw new ApiError(400, "Content is required");
+  if (parent.video && !(await Video.exists({ _id: parent.video, commentsEnabled: { $ne: false } }))) {
+    throw new ApiError(403, "Comments are turned off for this video");
   }
 
-  const comment = await Comment.findById(commentId);
-  if (!comment) {
-    throw new ApiError(404, "Comment not found");
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let reply;
+  try {
+    [reply] = await Comment.create(
+      [
+        {
+          content,
+          video: parent.video,
+          tweet: parent.tweet,
+          owner: req.user._id,
+          parentComment: parent._id,
+          depth: parent.depth + 1
+        }
+      ],
+      { session }
+    );
+    await Comment.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } }, { session });
+    await session.commitTransaction();
+  } catch (err) {
+    await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
   }
 
-  // permission check: owner or admin
-  const isOwner = comment.owner?.toString() === req.user.id?.toString();
-  const isAdmin = req.user?.role === "admin" || req.user?.isAdmin === true;
+  await reply.populate({ path: "owner", select: "username fullName avatar" });
+
+  return res.status(201).json(
+    new ApiResponse(201, reply, "Reply added")
+  );
+});
 
-  if (!isOwner && !isAdmin) {
-    throw new ApiError(403, "Not authorized to update this comment");
+
+// Owner or admin, checked by verifyOwnership
+const updateComment = asyncHandler(async (req, res) => {
+  const comment = req.resource;
+
+  if (comment.isDeleted) {
+    throw new ApiError(404, "Comment not found");
   }
 
-  comment.content = content.trim();
-  comment.updatedAt = new Date();
+  comment.content = req.body.content;
 
   await comment.save();
 
-  // populate owner for response
-  await comment.populate([{ path: "owner", select: "_id name username avatar" }]).execPopulate?.();
+  await comment.populate({ path: "owner", select: "username fullName avatar" });
 
   return res.status(200).json(
-    new ApiResponse(true, "Comment updated", { comment })
+    new ApiResponse(200, comment, "Comment updated")
   );
 });
 
 
+// Comment author, video owner or admin, checked by verifyOwnership. Comments with replies are
+// tombstoned rather than removed so the thread below them survives
 const deleteComment = asyncHandler(async (req, res) => {
-  const { commentId } = req.params;
+  await deleteCommentCascade(req.resource);
 
-  if (!mongoose.isValidObjectId(commentId)) {
-    throw new ApiError(400, "Invalid commentId");
-  }
+  return res.status(200).json(
+    new ApiResponse(200, {}, "Comment deleted")
+  );
+});
+
+// Moderation below is for the video owner or an admin, checked by verifyOwnership
+
+const loadModeratedComment = (req) => {
+  const comment = req.resource;
 
-  const comment = await Comment.findById(commentId);
-  if (!comment) {
+  if (comment.isDeleted) {
     throw new ApiError(404, "Comment not found");
   }
 
-  const isOwner = comment.owner?.toString() === req.user.id?.toString();
-  const isAdmin = req.user?.role === "admin" || req.user?.isAdmin === true;
+  if (!comment.video) {
+    throw new ApiError(400, "Only comments on videos can be moderated");
+  }
+
+  return comment;
+};
+
+// Pin a top-level comment above the others; pinning replaces the current pin
+const togglePinComment = asyncHandler(async (req, res) => {
+  const comment = loadModeratedComment(req);
 
-  if (!isOwner && !isAdmin) {
-    throw new ApiError(403, "Not authorized to delete this comment");
+  if (!comment.isPinned) {
+    if (comment.parentComment) {
+      throw new ApiError(400, "Only top-level comments can be pinned");
+    }
+    if (comment.isHidden) {
+      throw new ApiError(400, "Hidden comments can't be pinned");
+    }
+    await Comment.updateMany({ video: comment.video, isPinned: true }, { $set: { isPinned: false } });
   }
 
-  await Comment.deleteOne({ _id: commentId });
+  comment.isPinned = !comment.isPinned;
+  await comment.save();
+
+  return res.status(200).json(
+    new ApiResponse(200, comment, comment.isPinned ? "Comment pinned" : "Comment unpinned")
+  );
+});
+
+const toggleHeartComment = asyncHandler(async (req, res) => {
+  const comment = loadModeratedComment(req);
+
+  comment.isHearted = !comment.isHearted;
+  await comment.save();
+
+  return res.status(200).json(
+    new ApiResponse(200, comment, comment.isHearted ? "Comment hearted" : "Comment unhearted")
+  );
+});
+
+// Hidden comments stay visible to their author, so hiding isn't announced
+const toggleHideComment = asyncHandler(async (req, res) => {
+  const comment = loadModeratedComment(req);
+
+  comment.isHidden = !comment.isHidden;
+  if (comment.isHidden) comment.isPinned = false;
+  await comment.save();
 
   return res.status(200).json(
-    new ApiResponse(true, "Comment deleted")
+    new ApiResponse(200, comment, comment.isHidden ? "Comment hidden" : "Comment unhidden")
   );
 });
 
 export {
   getVideoComments,
+  getTweetComments,
+  getCommentReplies,
   addComment,
+  addTweetComment,
+  addReply,
   updateComment,
-  deleteComment
+  deleteComment,
+  togglePinComment,
+  toggleHeartComment,
+  toggleHideComment
 };
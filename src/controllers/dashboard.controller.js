@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+import { Video } from "../models/video.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+// Get channel stats: total views, videos, subscribers and likes
+const getChannelStats = asyncHandler(async (req, res) => {
+    const channelId = new mongoose.Types.ObjectId(req.user._id);
+
+    const [videoStats, totalSubscribers] = await Promise.all([
+        Video.aggregate([
+            { $match: { owner: channelId } },
+            {
+                $group: {
+                    _id: null,
+                    totalViews: { $sum: "$views" },
+                    totalVideos: { $sum: 1 },
+                    totalLikes: { $sum: "$likesCount" }
+                }
+            }
+        ]),
+        Subscription.countDocuments({ channel: channelId })
+    ]);
+
+    const stats = {
+        totalViews: videoStats[0]?.totalViews || 0,
+        totalVideos: videoStats[0]?.totalVideos || 0,
+        totalSubscribers,
+        totalLikes: videoStats[0]?.totalLikes || 0
+    };
+
+    res.status(200).json(new ApiResponse(200, stats, "Channel stats fetched successfully"));
+});
+
+// Get all videos of the channel, published and unpublished, with comment counts
+// (like and dislike counts are kept on the video itself)
+const getChannelVideos = asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+
+    const aggregate = Video.aggregate([
+        { $match: { owner: new mongoose.Types.ObjectId(req.user._id) } },
+        { $sort: { createdAt: -1 } },
+        {
+            $lookup: {
+                from: "comments",
+                localField: "_id",
+                foreignField: "video",
+                as: "comments",
+                // only ids of live comments: soft-deleted ones don't count and bodies aren't needed
+                pipeline: [
+                    { $match: { isDeleted: { $ne: true } } },
+                    { $project: { _id: 1 } }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                commentsCount: { $size: "$comments" }
+            }
+        },
+        { $project: { comments: 0 } }
+    ]);
+
+    const videos = await Video.aggregatePaginate(aggregate, { page, limit });
+
+    res.status(200).json(new ApiResponse(200, videos, "Channel videos fetched successfully"));
+});
+
+export {
+    getChannelStats,
+    getChannelVideos
+};
@@ -0,0 +1,24 @@
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getSubscriptionFeed, getHomeFeed } from "../services/feed.service.js";
+
+// Videos and tweets from followed channels, merged newest first
+const getSubscriptionsFeed = asyncHandler(async (req, res) => {
+    const { before, limit } = req.query;
+    const feed = await getSubscriptionFeed(req.user._id, { before, limit });
+
+    res.status(200).json(new ApiResponse(200, feed, "Subscriptions feed fetched successfully"));
+});
+
+// Personalized video recommendations
+const getHomeFeedVideos = asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+    const feed = await getHomeFeed(req.user._id, { page, limit });
+
+    res.status(200).json(new ApiResponse(200, feed, "Home feed fetched successfully"));
+});
+
+export {
+    getSubscriptionsFeed,
+    getHomeFeedVideos
+};
@@ -1,4 +1,4 @@
-import mongoose, {isValidObjectId} from "mongoose"
+import mongoose from "mongoose"
 import {User} from "../models/user.model.js"
 import { Subscription } from "../models/subscription.model.js"
 import {ApiError} from "../utils/ApiError.js"
@@ -9,10 +9,6 @@ import {asyncHandler} from "../utils/asyncHandler.js"
 const toggleSubscription = asyncHandler(async (req, res) => {
     const { channelId } = req.params;
 
-    if (!isValidObjectId(channelId)) {
-        throw new ApiError(400, "Invalid channelId");
-    }
-
     if (channelId === req.user._id.toString()) {
         throw new ApiError(400, "You cannot subscribe to your own channel");
     }
@@ -44,10 +40,6 @@ const toggleSubscription = asyncHandler(async (req, res) => {
 const getUserChannelSubscribers = asyncHandler(async (req, res) => {
     const { channelId } = req.params;
 
-    if (!isValidObjectId(channelId)) {
-        throw new ApiError(400, "Invalid channelId");
-    }
-
     const channel = await User.findById(channelId);
     if (!channel) {
         throw new ApiError(404, "Channel not found");
@@ -64,10 +56,6 @@ const getUserChannelSubscribers = asyncHandler(async (req, res) => {
 const getSubscribedChannels = asyncHandler(async (req, res) => {
     const { subscriberId } = req.params;
 
-    if (!isValidObjectId(subscriberId)) {
-        throw new ApiError(400, "Invalid subscriberId");
-    }
-
     const subscriber = await User.findById(subscriberId);
     if (!subscriber) {
         throw new ApiError(404, "Subscriber not found");
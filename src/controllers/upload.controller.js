@@ -0,0 +1,211 @@
+import fs from "fs";
+import { UploadSession } from "../models/uploadSession.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { createVideo, parseTags } from "../services/video.service.js";
+import { keepUploadedFiles } from "../middlewares/multer.middleware.js";
+import { sniffFileType } from "../utils/fileType.js";
+import {
+    sha256,
+    expectedChunkSize,
+    toRanges,
+    missingChunks,
+    writeChunk,
+    assembleChunks,
+    removeChunks
+} from "../services/upload.service.js";
+import {
+    UPLOAD_CHUNK_SIZE,
+    UPLOAD_SESSION_TTL_HOURS
+} from "../constants.js";
+
+const formatSession = (session) => {
+    const received = session.receivedChunks.length;
+    const lastReceived = session.receivedChunks.includes(session.totalChunks - 1);
+
+    return {
+        uploadId: session._id,
+        status: session.status,
+        fileName: session.fileName,
+        fileSize: session.fileSize,
+        chunkSize: session.chunkSize,
+        totalChunks: session.totalChunks,
+        receivedRanges: toRanges(session.receivedChunks),
+        missingRanges: toRanges(missingChunks(session)),
+        bytesReceived: lastReceived
+            ? (received - 1) * session.chunkSize + expectedChunkSize(session, session.totalChunks - 1)
+            : received * session.chunkSize,
+        video: session.video,
+        expiresAt: session.expiresAt
+    };
+};
+
+// The session is loaded and owner-checked by verifyOwnership
+const assertActive = (session) => {
+    if (session.status !== "pending") {
+        throw new ApiError(409, `Upload session is ${session.status}`);
+    }
+    if (session.expiresAt < new Date()) {
+        throw new ApiError(410, "Upload session has expired");
+    }
+};
+
+// Start a resumable upload
+const initiateUpload = asyncHandler(async (req, res) => {
+    const { fileName, fileSize: size, mimeType, checksum, title, description, tags } = req.body;
+
+    const session = await UploadSession.create({
+        owner: req.user._id,
+        fileName,
+        mimeType,
+        fileSize: size,
+        chunkSize: UPLOAD_CHUNK_SIZE,
+        totalChunks: Math.ceil(size / UPLOAD_CHUNK_SIZE),
+        checksum: checksum.toLowerCase(),
+        title,
+        description,
+        tags: parseTags(tags),
+        expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_HOURS * 60 * 60 * 1000)
+    });
+
+    res.status(201).json(new ApiResponse(201, formatSession(session), "Upload session created"));
+});
+
+// Receive one numbered chunk as a raw application/octet-stream body
+const uploadChunk = asyncHandler(async (req, res) => {
+    const session = req.resource;
+    assertActive(session);
+
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+        throw new ApiError(400, `Chunk index must be between 0 and ${session.totalChunks - 1}`);
+    }
+
+    const body = Buffer.isBuffer(req.body) ? req.body : null;
+    if (!body) {
+        throw new ApiError(415, "Chunks must be sent as application/octet-stream");
+    }
+
+    const expectedSize = expectedChunkSize(session, index);
+    if (body.length !== expectedSize) {
+        throw new ApiError(400, `Chunk ${index} must be ${expectedSize} bytes, got ${body.length}`);
+    }
+
+    const chunkChecksum = req.get("X-Chunk-Checksum");
+    if (chunkChecksum && chunkChecksum.toLowerCase() !== sha256(body)) {
+        throw new ApiError(422, `Checksum mismatch for chunk ${index}`);
+    }
+
+    await writeChunk(session, index, body);
+
+    const updated = await UploadSession.findByIdAndUpdate(
+        session._id,
+        { $addToSet: { receivedChunks: index } },
+        { new: true }
+    );
+
+    res.status(200).json(new ApiResponse(200, formatSession(updated), `Chunk ${index} received`));
+});
+
+// Report which chunks have arrived so a client can resume
+const getUploadStatus = asyncHandler(async (req, res) => {
+    res.status(200).json(new ApiResponse(200, formatSession(req.resource), "Upload status fetched"));
+});
+
+// Assemble, verify and hand the file to the regular video creation path
+const completeUpload = asyncHandler(async (req, res) => {
+    const session = req.resource;
+    const thumbnailPath = req.file?.path;
+
+    assertActive(session);
+
+    if (!thumbnailPath) {
+        throw new ApiError(400, "Thumbnail is required");
+    }
+
+    const missing = missingChunks(session);
+    if (missing.length) {
+        throw new ApiError(409, "Upload is incomplete", [{ missingRanges: toRanges(missing) }]);
+    }
+
+    // claim the session so concurrent completes can't assemble twice
+    const claimed = await UploadSession.findOneAndUpdate(
+        { _id: session._id, status: "pending" },
+        { $set: { status: "assembling" } },
+        { new: true }
+    );
+    if (!claimed) {
+        throw new ApiError(409, "Upload is already being completed");
+    }
+
+    let filePath;
+    let handedOff = false;
+    try {
+        const assembled = await assembleChunks(claimed);
+        filePath = assembled.filePath;
+
+        if (assembled.checksum !== claimed.checksum) {
+            // the chunks on disk are unusable; start the transfer over
+            await removeChunks(claimed._id);
+            claimed.receivedChunks = [];
+            throw new ApiError(422, "Checksum mismatch, the file must be uploaded again");
+        }
+
+        const type = await sniffFileType(filePath);
+        if (type?.kind !== "video") {
+            throw new ApiError(415, "Uploaded file is not a supported video");
+        }
+
+        const video = await createVideo({
+            owner: claimed.owner,
+            ownerUsername: req.user.username,
+            title: req.body.title || claimed.title,
+            description: req.body.description || claimed.description,
+            tags: req.body.tags !== undefined ? parseTags(req.body.tags) : claimed.tags,
+            videoFilePath: filePath,
+            thumbnailPath
+        });
+        // the processing job owns the files from here on
+        handedOff = true;
+        keepUploadedFiles(req);
+
+        claimed.status = "completed";
+        claimed.video = video._id;
+        await claimed.save();
+        await removeChunks(claimed._id);
+
+        res.status(202).json(new ApiResponse(202, video, "Video is being processed"));
+    } catch (error) {
+        if (handedOff) throw error;
+
+        claimed.status = "pending";
+        await claimed.save();
+        if (filePath) await fs.promises.rm(filePath, { force: true });
+        throw error;
+    }
+});
+
+// Cancel an upload and discard its chunks
+const abortUpload = asyncHandler(async (req, res) => {
+    const session = req.resource;
+
+    if (session.status === "completed") {
+        throw new ApiError(409, "Upload is already completed");
+    }
+
+    await removeChunks(session._id);
+    session.status = "aborted";
+    session.receivedChunks = [];
+    await session.save();
+
+    res.status(200).json(new ApiResponse(200, null, "Upload aborted"));
+});
+
+export {
+    initiateUpload,
+    uploadChunk,
+    getUploadStatus,
+    completeUpload,
+    abortUpload
+};
@@ -2,41 +2,55 @@ import { asyncHandler } from "../utils/asyncHandler.js"
 import { ApiError } from "../utils/ApiError.js"
 import { User } from "../models/user.model.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
-import { uploadOnCloudinary } from "../utils/cloudinary.js"
-import jwt from "jsonwebtoken"
+import { uploadFile, deleteFile } from "../storage/index.js"
+import { removeFromWatchHistory, emptyWatchHistory } from "../services/view.service.js"
+import { deleteUserAccount } from "../services/deletion.service.js"
+import { getUserActivity } from "../services/activity.service.js"
+import { issueToken, consumeToken } from "../services/token.service.js"
+import { assertNotLocked, recordFailedLogin, clearFailedLogins } from "../services/loginLockout.service.js"
+import { sendMail } from "../mail/index.js"
+import { verifyEmailMessage, resetPasswordMessage } from "../mail/templates.js"
+import {
+    TOKEN_PURPOSES,
+    EMAIL_VERIFICATION_TTL_HOURS,
+    PASSWORD_RESET_TTL_MINUTES
+} from "../constants.js"
+import {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeUserSessions,
+    listSessions
+} from "../services/session.service.js"
 import mongoose from "mongoose"
 
-const generateAccessTokenAndRefreshToken = async(user)=>{
-  try {
-    const accessToken = user.generateAccessToken()
-    const refreshToken = user.generateRefreshToken()
-
-    user.refreshToken = refreshToken
-
-    await user.save({validateBeforeSave: false})
-
-    const safeUser = {...user._doc}
+const cookieOptions = {
+  httpOnly: true,
+  secure: true,
+  sameSite: "strict"
+}
 
-    delete safeUser.password
-    delete safeUser.refreshToken
+const toSafeUser = (user) => {
+  const safeUser = {...user._doc}
+  delete safeUser.password
+  delete safeUser.failedLoginCount
+  delete safeUser.lockedUntil
+  return safeUser
+}
 
-    return {accessToken, refreshToken, user: safeUser }
-  } catch (error) {
-    console.log(error)
-    throw new ApiError(500, "Something went wrong while generating Access and refresh token")
-  }
+const sendVerificationEmail = async(user) => {
+  const token = await issueToken(
+    user._id,
+    TOKEN_PURPOSES.VERIFY_EMAIL,
+    EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+  )
+  await sendMail(verifyEmailMessage(user, token, EMAIL_VERIFICATION_TTL_HOURS))
 }
 
 const registerUser = asyncHandler( async (req, res) => {
 
   const {username, fullName, email, password} = req.body
 
-  if([username, fullName, email, password].some((field)=>{ 
-    return field?.trim() === ""
-  })){
-    throw new ApiError(500, "All mandatory fields are required !");
-  }
-
   const existedUser = await User.exists({
     $or: [{username},{email}]
   })
@@ -45,7 +59,7 @@ const registerUser = asyncHandler( async (req, res) => {
     throw new ApiError(400, "User with this username or email already exists")
   }
 
-  const avatarLocalPath = req.files?.avatar[0]?.path
+  const avatarLocalPath = req.files?.avatar?.[0]?.path
   // const coverImageLocalPath = req.files?.coverImage[0]?.path
 
   let coverImageLocalPath;
@@ -54,14 +68,16 @@ const registerUser = asyncHandler( async (req, res) => {
   }
 
   if(!avatarLocalPath){
-    throw new ApiError(401, "Avatar is required")
+    throw new ApiError(400, "Validation failed", [
+      { field: "avatar", location: "body", message: "avatar is required" }
+    ])
   }
 
-  const avatar = await uploadOnCloudinary(avatarLocalPath)
-  const coverImage = await uploadOnCloudinary(coverImageLocalPath)
+  const avatar = await uploadFile(avatarLocalPath, { folder: "avatars" })
+  const coverImage = await uploadFile(coverImageLocalPath, { folder: "covers" })
 
   if(!avatar){
-    throw new ApiError(500, "Avatar file is required")
+    throw new ApiError(500, "Failed to upload the avatar, please try again")
   }
 
 
@@ -74,14 +90,14 @@ const registerUser = asyncHandler( async (req, res) => {
     username: username.toLowerCase()
   })
 
-  const createdUser = await User.findById(user._id).select(
-    "-password -refreshToken"
-  )
+  const createdUser = await User.findById(user._id).select("-password")
 
   if(!createdUser){
     throw new ApiError(500, "Something went wrong while registering a user")
   }
 
+  await sendVerificationEmail(createdUser)
+
   return res
   .status(201)
   .json(
@@ -93,70 +109,54 @@ const loginUser = asyncHandler(async(req, res)=>{
 
   const {usernameOrEmail, password} = req.body
 
-  if(!usernameOrEmail){
-    throw new ApiError(401, "Username or Email is Required")
-  }
-
   const user = await User.findOne({
     $or: [
       {username: usernameOrEmail},
       {email: usernameOrEmail}
     ]
-  })
+  }).select("+failedLoginCount +lockedUntil")
 
   if(!user){
     throw new ApiError(401, "User Does Not Exist")
   }
 
+  assertNotLocked(user, res)
+
   const isPasswordValid = await user.isPasswordCorrect(password)
 
   if(!isPasswordValid){
+    await recordFailedLogin(user)
     throw new ApiError(401, "Invalid Credentials")
   }
 
-  const {accessToken, refreshToken, user: safeUser} = await generateAccessTokenAndRefreshToken(user)
+  await clearFailedLogins(user)
 
-  const options = {
-    httpOnly: true,
-    secure: true
-  }
+  // each login is its own session, so other devices stay signed in
+  const {accessToken, refreshToken} = await createSession(user, req)
 
   res
   .status(200)
-  .cookie("accessToken", accessToken, options)
-  .cookie("refreshToken", refreshToken, options)
+  .cookie("accessToken", accessToken, cookieOptions)
+  .cookie("refreshToken", refreshToken, cookieOptions)
   .json(
     new ApiResponse(
       200,
       {
-        user: safeUser, accessToken
+        user: toSafeUser(user), accessToken, refreshToken
       },
       "User Logged In Successfully"
     )
   )
 })
 
+// Ends the current session only; other devices stay signed in
 const logoutUser = asyncHandler(async(req, res)=>{
-  await User.findByIdAndUpdate(
-  req.user._id,
-  {
-    $unset: {
-      refreshToken: ""
-    }
-  },
-  {
-    new: true
-  })
-
-  const options = {
-    httpOnly: true,
-    secure: true
-  }
+  await revokeSession(req.sessionId, "logout")
 
   res
   .status(200)
-  .clearCookie("accessToken", options)
-  .clearCookie("refreshToken", options)
+  .clearCookie("accessToken", cookieOptions)
+  .clearCookie("refreshToken", cookieOptions)
   .json(
     new ApiResponse(
       200,
@@ -167,38 +167,20 @@ const logoutUser = asyncHandler(async(req, res)=>{
 })
 
 const refreshAccessToken = asyncHandler(async (req, res) => {
-  const token = req.cookies?.refreshToken || req.body.refreshToken
+  const token = req.cookies?.refreshToken || req.body?.refreshToken
 
   if (!token) {
     throw new ApiError(401, "Unauthorized Request")
   }
 
-  let decodedToken
-  try {
-    decodedToken = jwt.verify(token, process.env.REFRESH_TOKEN_SECRET)
-  } catch (err) {
-    throw new ApiError(401, "Invalid or expired refresh token")
-  }
-
-  const user = await User.findById(decodedToken._id).select("-password")
-  if (!user || token !== user?.refreshToken) {
-    throw new ApiError(401, "Invalid refresh token")
-  }
-
-  const { accessToken, refreshToken } = await generateAccessTokenAndRefreshToken(user);
-
-  const cookieOptions = {
-    httpOnly: true,
-    secure: true,
-    sameSite: "strict"
-  }
+  const { accessToken, refreshToken } = await rotateSession(token, req)
 
   res
     .status(200)
     .cookie("accessToken", accessToken, cookieOptions)
     .cookie("refreshToken", refreshToken, cookieOptions)
     .json(
-      new ApiResponse(200, { accessToken }, "Token refreshed successfully")
+      new ApiResponse(200, { accessToken, refreshToken }, "Token refreshed successfully")
     )
 })
 
@@ -216,6 +198,9 @@ const changeCurrentPassword = asyncHandler(async(req, res) => {
     user.password = newPassword
     await user.save({validateBeforeSave: false})
 
+    // keep this device signed in, sign out the rest
+    await revokeUserSessions(user._id, "password-change", { except: req.sessionId })
+
     return res
     .status(200)
     .json(new ApiResponse(200, {}, "Password Changed Successfully"))
@@ -234,22 +219,26 @@ const getCurrentUser = asyncHandler(async(req, res) => {
 const updateAccountDetails = asyncHandler(async(req, res) => {
     const {fullName, email} = req.body
 
-    if (!fullName || !email) {
-        throw new ApiError(400, "All fields are required")
-    }
+    const emailChanged = email !== req.user?.email
 
     const user = await User.findByIdAndUpdate(
         req.user?._id,
         {
             $set: {
                 fullName,
-                email: email
+                email: email,
+                // a new address has to be verified again
+                ...(emailChanged && { isEmailVerified: false })
             }
         },
         {new: true}
         
     ).select("-password")
 
+    if (emailChanged) {
+        await sendVerificationEmail(user)
+    }
+
     return res
     .status(200)
     .json(new ApiResponse(200, user, "Account details updated successfully"))
@@ -262,9 +251,9 @@ const updateUserAvatar = asyncHandler(async(req, res) => {
         throw new ApiError(400, "Avatar file is missing")
     }
 
-    const avatar = await uploadOnCloudinary(avatarLocalPath)
+    const avatar = await uploadFile(avatarLocalPath, { folder: "avatars" })
 
-    if (!avatar.url) {
+    if (!avatar?.url) {
         throw new ApiError(400, "Error while uploading on avatar")
         
     }
@@ -279,6 +268,9 @@ const updateUserAvatar = asyncHandler(async(req, res) => {
         {new: true}
     ).select("-password")
 
+    // the replaced image is no longer referenced anywhere
+    await deleteFile(req.user.avatar)
+
     return res
     .status(200)
     .json(
@@ -293,9 +285,9 @@ const updateUserCoverImage = asyncHandler(async(req, res) => {
         throw new ApiError(400, "Cover image file is missing")
     }
 
-    const coverImage = await uploadOnCloudinary(coverImageLocalPath)
+    const coverImage = await uploadFile(coverImageLocalPath, { folder: "covers" })
 
-    if (!coverImage.url) {
+    if (!coverImage?.url) {
         throw new ApiError(400, "Error while uploading on avatar")
         
     }
@@ -310,6 +302,10 @@ const updateUserCoverImage = asyncHandler(async(req, res) => {
         {new: true}
     ).select("-password")
 
+    if (req.user.coverImage) {
+        await deleteFile(req.user.coverImage)
+    }
+
     return res
     .status(200)
     .json(
@@ -320,10 +316,6 @@ const updateUserCoverImage = asyncHandler(async(req, res) => {
 const getUserChannelProfile = asyncHandler(async(req, res) => {
     const {username} = req.params
 
-    if (!username?.trim()) {
-        throw new ApiError(400, "username is missing")
-    }
-
     const channel = await User.aggregate([
         {
             $match: {
@@ -390,18 +382,25 @@ const getUserChannelProfile = asyncHandler(async(req, res) => {
 })
 
 const getWatchHistory = asyncHandler(async(req, res) => {
-    const user = await User.aggregate([
+    // unwind with the array index so the most-recent-first order survives the lookup
+    const watchHistory = await User.aggregate([
         {
             $match: {
                 _id: new mongoose.Types.ObjectId(req.user._id)
             }
         },
+        {
+            $unwind: {
+                path: "$watchHistory",
+                includeArrayIndex: "position"
+            }
+        },
         {
             $lookup: {
                 from: "videos",
                 localField: "watchHistory",
                 foreignField: "_id",
-                as: "watchHistory",
+                as: "video",
                 pipeline: [
                     {
                         $lookup: {
@@ -429,6 +428,19 @@ const getWatchHistory = asyncHandler(async(req, res) => {
                     }
                 ]
             }
+        },
+        {
+            $unwind: "$video"
+        },
+        {
+            $sort: {
+                position: 1
+            }
+        },
+        {
+            $replaceRoot: {
+                newRoot: "$video"
+            }
         }
     ])
 
@@ -437,12 +449,196 @@ const getWatchHistory = asyncHandler(async(req, res) => {
     .json(
         new ApiResponse(
             200,
-            user[0].watchHistory,
+            watchHistory,
             "Watch history fetched successfully"
         )
     )
 })
 
+const removeVideoFromWatchHistory = asyncHandler(async(req, res) => {
+    const {videoId} = req.params
+
+    await removeFromWatchHistory(req.user._id, videoId)
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, {}, "Video removed from watch history")
+    )
+})
+
+const clearWatchHistory = asyncHandler(async(req, res) => {
+    await emptyWatchHistory(req.user._id)
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, {}, "Watch history cleared successfully")
+    )
+})
+
+const deleteAccount = asyncHandler(async(req, res) => {
+    const {password} = req.body
+
+    const user = await User.findById(req.user._id)
+
+    if (!user) {
+        throw new ApiError(404, "User not found")
+    }
+
+    const isPasswordCorrect = await user.isPasswordCorrect(password)
+
+    if (!isPasswordCorrect) {
+        throw new ApiError(401, "Invalid Credentials")
+    }
+
+    // removes videos, comments, tweets, likes, playlists, subscriptions, sessions and media
+    await deleteUserAccount(user)
+
+    return res
+    .status(200)
+    .clearCookie("accessToken", cookieOptions)
+    .clearCookie("refreshToken", cookieOptions)
+    .json(
+        new ApiResponse(200, {}, "Account deleted successfully")
+    )
+})
+
+// Timeline of the user's own likes, comments, tweets, subscriptions and uploads
+const getMyActivity = asyncHandler(async(req, res) => {
+    const {before, limit, types} = req.query
+
+    const activity = await getUserActivity(req.user._id, { before, limit, types })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, activity, "Activity fetched successfully")
+    )
+})
+
+const verifyEmail = asyncHandler(async(req, res) => {
+    const {token} = req.body
+
+    const userId = await consumeToken(token, TOKEN_PURPOSES.VERIFY_EMAIL)
+
+    if (!userId) {
+        throw new ApiError(400, "Verification link is invalid or has expired")
+    }
+
+    const user = await User.findByIdAndUpdate(
+        userId,
+        { $set: { isEmailVerified: true } },
+        {new: true}
+    ).select("-password")
+
+    if (!user) {
+        throw new ApiError(404, "User not found")
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, user, "Email verified successfully"))
+})
+
+const resendVerificationEmail = asyncHandler(async(req, res) => {
+    if (req.user.isEmailVerified) {
+        throw new ApiError(400, "Email is already verified")
+    }
+
+    await sendVerificationEmail(req.user)
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Verification email sent"))
+})
+
+// Answers the same whether or not the email is registered, so it can't be
+// used to find out who has an account
+const forgotPassword = asyncHandler(async(req, res) => {
+    const {email} = req.body
+
+    const user = await User.findOne({ email })
+
+    if (user) {
+        const token = await issueToken(
+            user._id,
+            TOKEN_PURPOSES.RESET_PASSWORD,
+            PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+        )
+        await sendMail(resetPasswordMessage(user, token, PASSWORD_RESET_TTL_MINUTES))
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "If an account exists for this email, a reset link has been sent"))
+})
+
+const resetPassword = asyncHandler(async(req, res) => {
+    const {token, newPassword} = req.body
+
+    const userId = await consumeToken(token, TOKEN_PURPOSES.RESET_PASSWORD)
+
+    if (!userId) {
+        throw new ApiError(400, "Reset link is invalid or has expired")
+    }
+
+    const user = await User.findById(userId)
+
+    if (!user) {
+        throw new ApiError(404, "User not found")
+    }
+
+    // the link reached the inbox, which also proves the address and lifts
+    // a login lockout; existing sessions are signed out
+    user.password = newPassword
+    user.isEmailVerified = true
+    user.failedLoginCount = 0
+    user.lockedUntil = undefined
+    await user.save({validateBeforeSave: false})
+    await revokeUserSessions(user._id, "password-change")
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Password reset successfully"))
+})
+
+// Devices the user is signed in on, the current one flagged
+const getSessions = asyncHandler(async(req, res) => {
+    const sessions = await listSessions(req.user._id)
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(
+            200,
+            sessions.map((session) => ({
+                ...session,
+                current: session._id.toString() === req.sessionId
+            })),
+            "Sessions fetched successfully"
+        )
+    )
+})
+
+const revokeUserSession = asyncHandler(async(req, res) => {
+    const {sessionId} = req.params
+
+    const result = await revokeSession(sessionId, "revoked", { user: req.user._id })
+
+    if (!result.matchedCount) {
+        throw new ApiError(404, "Session not found")
+    }
+
+    if (sessionId === req.sessionId) {
+        res.clearCookie("accessToken", cookieOptions).clearCookie("refreshToken", cookieOptions)
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Session revoked successfully"))
+})
+
 export {
     registerUser,
     loginUser,
@@ -454,5 +650,15 @@ export {
     updateUserAvatar,
     updateUserCoverImage,
     getUserChannelProfile,
-    getWatchHistory
+    getWatchHistory,
+    removeVideoFromWatchHistory,
+    clearWatchHistory,
+    deleteAccount,
+    getMyActivity,
+    verifyEmail,
+    resendVerificationEmail,
+    forgotPassword,
+    resetPassword,
+    getSessions,
+    revokeUserSession
 }
\ No newline at end of file
@@ -1,158 +1,180 @@
-import mongoose, { isValidObjectId } from "mongoose";
 import { Video } from "../models/video.model.js";
 import { User } from "../models/user.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
-import { uploadOnCloudinary } from "../utils/cloudinary.js";
-
+import { uploadFile, deleteFile } from "../storage/index.js";
+import { recordView, addToWatchHistory } from "../services/view.service.js";
+import { deleteVideoCascade } from "../services/deletion.service.js";
+import { createVideo, parseTags } from "../services/video.service.js";
+import { isOwner } from "../middlewares/ownership.middleware.js";
+import { keepUploadedFiles } from "../middlewares/multer.middleware.js";
+import { searchVideos } from "../services/search.service.js";
+import { getTrending } from "../services/trending.service.js";
+import { getViewerReaction } from "../services/reaction.service.js";
+
+// Search and list videos: see searchVideos for the supported filters and facets
 const getAllVideos = asyncHandler(async (req, res) => {
-    let { page = 1, limit = 10, query = "", sortBy = "createdAt", sortType = "desc", userId } = req.query;
-
-    page = parseInt(page);
-    limit = parseInt(limit);
-
-    const matchStage = {};
-    if (query) {
-        matchStage.title = { $regex: query, $options: "i" };
-    }
-    if (userId && isValidObjectId(userId)) {
-        matchStage.owner = new mongoose.Types.ObjectId(userId);
+    const { query, q = query, duration, uploadDate, from, to, userId, channel = userId, sortBy, sortType, facets, page, limit } = req.query;
+
+    let { sort } = req.query;
+    // legacy sortBy/sortType pairs map onto the named sorts
+    if (!sort && sortBy) {
+        const legacySorts = {
+            createdAt: sortType === "asc" ? "oldest" : "newest",
+            views: "views",
+            duration: "duration"
+        };
+        sort = legacySorts[sortBy];
     }
 
-    const sortStage = {};
-    sortStage[sortBy] = sortType === "asc" ? 1 : -1;
+    const videos = await searchVideos({
+        q: q || "",
+        duration,
+        uploadDate,
+        from,
+        to,
+        channel,
+        sort,
+        facets,
+        page,
+        limit,
+        viewerId: req.user?._id
+    });
 
-    const aggregate = Video.aggregate([{ $match: matchStage }, { $sort: sortStage }]);
+    res.status(200).json(new ApiResponse(200, videos, "Videos fetched successfully"));
+});
 
-    const options = { page, limit };
-    const videos = await Video.aggregatePaginate(aggregate, options);
+// Trending videos for a window (24h, 7d or 30d), served from the precomputed ranking
+const getTrendingVideos = asyncHandler(async (req, res) => {
+    const { window, page, limit } = req.query;
+    const trending = await getTrending(window, { page, limit });
 
-    res.status(200).json(new ApiResponse(200, videos, "Videos fetched successfully"));
+    res.status(200).json(new ApiResponse(200, trending, "Trending videos fetched successfully"));
 });
 
 // Publish a new video
 const publishAVideo = asyncHandler(async (req, res) => {
     const { title, description } = req.body;
 
-    if (!title || !description) {
-        throw new ApiError(400, "Title and description are required");
-    }
-
     if (!req.files || !req.files.videoFile || !req.files.thumbnail) {
         throw new ApiError(400, "Video file and thumbnail are required");
     }
 
-    const videoFilePath = req.files.videoFile[0].path;
-    const thumbnailPath = req.files.thumbnail[0].path;
-
-    const uploadedVideo = await uploadOnCloudinary(videoFilePath);
-    const uploadedThumbnail = await uploadOnCloudinary(thumbnailPath);
-
-    if (!uploadedVideo || !uploadedThumbnail) {
-        throw new ApiError(500, "Failed to upload video or thumbnail");
-    }
-
-    const newVideo = await Video.create({
-        videoFile: uploadedVideo.secure_url,
-        thumbnail: uploadedThumbnail.secure_url,
+    const newVideo = await createVideo({
+        owner: req.user._id,
+        ownerUsername: req.user.username,
         title,
         description,
-        duration: uploadedVideo.duration,
-        owner: req.user._id
+        tags: parseTags(req.body.tags),
+        videoFilePath: req.files.videoFile[0].path,
+        thumbnailPath: req.files.thumbnail[0].path
     });
+    keepUploadedFiles(req);
 
-    res.status(201).json(new ApiResponse(201, newVideo, "Video published successfully"));
+    // media is uploaded in the background; poll GET /videos/:videoId/status
+    res.status(202).json(new ApiResponse(202, newVideo, "Video is being processed"));
 });
 
 // Get a video by ID
 const getVideoById = asyncHandler(async (req, res) => {
     const { videoId } = req.params;
 
-    if (!isValidObjectId(videoId)) {
-        throw new ApiError(400, "Invalid video ID");
-    }
-
     const video = await Video.findById(videoId).populate("owner", "username email");
 
     if (!video) {
         throw new ApiError(404, "Video not found");
     }
 
-    res.status(200).json(new ApiResponse(200, video, "Video fetched successfully"));
+    // videos still processing (or failed) are visible to their owner only
+    if (video.status && video.status !== "ready") {
+        if (!isOwner(video, req.user)) {
+            throw new ApiError(404, "Video not found");
+        }
+        return res.status(200).json(new ApiResponse(200, video, "Video fetched successfully"));
+    }
+
+    // Count the play and remember it in the viewer's history
+    const counted = await recordView(video._id, req);
+    if (counted) video.views += 1;
+    if (req.user?._id) {
+        await addToWatchHistory(req.user._id, video._id);
+    }
+
+    const viewerReaction = await getViewerReaction("video", video._id, req.user?._id);
+
+    res.status(200).json(new ApiResponse(200, { ...video.toObject(), viewerReaction }, "Video fetched successfully"));
 });
 
-// Update video details
+// Update video details (owner checked by verifyOwnership)
 const updateVideo = asyncHandler(async (req, res) => {
-    const { videoId } = req.params;
-    const { title, description } = req.body;
+    const video = req.resource;
+    const { title, description, tags } = req.body;
 
-    if (!isValidObjectId(videoId)) {
-        throw new ApiError(400, "Invalid video ID");
-    }
-
-    const updateData = {};
-    if (title) updateData.title = title;
-    if (description) updateData.description = description;
+    if (title) video.title = title;
+    if (description) video.description = description;
+    if (tags !== undefined) video.tags = parseTags(tags);
 
+    let replacedThumbnail;
     if (req.file) {
-        const uploadedThumbnail = await uploadOnCloudinary(req.file.path);
+        const uploadedThumbnail = await uploadFile(req.file.path, { folder: "thumbnails" });
         if (uploadedThumbnail) {
-            updateData.thumbnail = uploadedThumbnail.secure_url;
+            replacedThumbnail = video.thumbnail;
+            video.thumbnail = uploadedThumbnail.url;
         }
     }
 
-    const updatedVideo = await Video.findByIdAndUpdate(videoId, updateData, { new: true });
+    const updatedVideo = await video.save();
 
-    if (!updatedVideo) {
-        throw new ApiError(404, "Video not found");
+    if (replacedThumbnail) {
+        await deleteFile(replacedThumbnail);
     }
 
     res.status(200).json(new ApiResponse(200, updatedVideo, "Video updated successfully"));
 });
 
-// Delete a video
+// Delete a video with its comments, likes, playlist/history entries and media (owner checked by verifyOwnership)
 const deleteVideo = asyncHandler(async (req, res) => {
-    const { videoId } = req.params;
-
-    if (!isValidObjectId(videoId)) {
-        throw new ApiError(400, "Invalid video ID");
-    }
-
-    const deletedVideo = await Video.findByIdAndDelete(videoId);
-
-    if (!deletedVideo) {
-        throw new ApiError(404, "Video not found");
-    }
+    await deleteVideoCascade(req.resource);
 
     res.status(200).json(new ApiResponse(200, null, "Video deleted successfully"));
 });
 
-// Toggle publish status
+// Toggle publish status (owner checked by verifyOwnership)
 const togglePublishStatus = asyncHandler(async (req, res) => {
-    const { videoId } = req.params;
+    const video = req.resource;
 
-    if (!isValidObjectId(videoId)) {
-        throw new ApiError(400, "Invalid video ID");
-    }
+    video.isPublished = !video.isPublished;
+    await video.save();
 
-    const video = await Video.findById(videoId);
+    res.status(200).json(new ApiResponse(200, video, "Video publish status updated successfully"));
+});
 
-    if (!video) {
-        throw new ApiError(404, "Video not found");
-    }
+// Switch comments on or off (owner checked by verifyOwnership)
+const toggleCommentsEnabled = asyncHandler(async (req, res) => {
+    const video = req.resource;
 
-    video.isPublished = !video.isPublished;
+    video.commentsEnabled = !video.commentsEnabled;
     await video.save();
 
-    res.status(200).json(new ApiResponse(200, video, "Video publish status updated successfully"));
+    res.status(200).json(new ApiResponse(200, { videoId: video._id, commentsEnabled: video.commentsEnabled }, "Video comment setting updated successfully"));
+});
+
+// Processing status of a video (owner checked by verifyOwnership)
+const getVideoStatus = asyncHandler(async (req, res) => {
+    const { _id, status, processingError, isPublished } = req.resource;
+
+    res.status(200).json(new ApiResponse(200, { videoId: _id, status, processingError, isPublished }, "Video status fetched successfully"));
 });
 
 export {
     getAllVideos,
+    getTrendingVideos,
     publishAVideo,
     getVideoById,
     updateVideo,
     deleteVideo,
-    togglePublishStatus
+    togglePublishStatus,
+    toggleCommentsEnabled,
+    getVideoStatus
 };
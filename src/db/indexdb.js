@@ -1,13 +1,14 @@
 import mongoose from "mongoose";
 import { DB_NAME } from "../constants.js";
+import { logger } from "../utils/logger.js";
 
 
 const connectDB = async () => {
     try {
         const connectionInstance = await mongoose.connect(`${process.env.MONGODB_URI}/${DB_NAME}`)
-        console.log(`\nMongoDB connected !! DB HOST: ${connectionInstance.connection.host}`);
+        logger.info("MongoDB connected", { host: connectionInstance.connection.host });
     } catch (error) {
-        console.log("MONGODB connection FAILED ", error);
+        logger.error("MongoDB connection failed", { err: error });
         process.exit(1)
     }
 }
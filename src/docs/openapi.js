@@ -0,0 +1,227 @@
+import { listRoutes, routeKey } from "./routes.js";
+import { OPERATIONS } from "./operations.js";
+import { verifyJWT, requireVerifiedEmail } from "../middlewares/auth.middleware.js";
+import { UPLOAD_POLICIES } from "../middlewares/multer.middleware.js";
+import { RATE_LIMITS } from "../constants.js";
+
+const json = (schema) => ({ "application/json": { schema } });
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const components = {
+  securitySchemes: {
+    bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+    cookieAuth: { type: "apiKey", in: "cookie", name: "accessToken" },
+  },
+  schemas: {
+    ApiResponse: {
+      type: "object",
+      required: ["statusCode", "data", "message", "success"],
+      properties: {
+        statusCode: { type: "integer" },
+        data: { description: "The operation's payload" },
+        message: { type: "string" },
+        success: { type: "boolean", enum: [true] },
+      },
+    },
+    ApiError: {
+      type: "object",
+      required: ["statusCode", "data", "message", "success", "errors"],
+      properties: {
+        statusCode: { type: "integer" },
+        data: { type: "object", nullable: true, description: "Always null" },
+        message: { type: "string" },
+        success: { type: "boolean", enum: [false] },
+        errors: { type: "array", items: ref("FieldError") },
+        stack: { type: "string", description: "Only outside production" },
+      },
+    },
+    FieldError: {
+      type: "object",
+      required: ["field", "message"],
+      properties: {
+        field: { type: "string" },
+        location: { type: "string", enum: ["params", "query", "body"] },
+        message: { type: "string" },
+      },
+    },
+  },
+  responses: {
+    BadRequest: { description: "Invalid input, each failing field listed in `errors`" },
+    Unauthorized: { description: "Missing, expired or revoked access token" },
+    Forbidden: { description: "Not allowed to act on this resource" },
+    NotFound: { description: "The resource does not exist" },
+    TooManyRequests: {
+      description: "Rate limit hit",
+      headers: {
+        "Retry-After": { description: "Seconds until the window resets", schema: { type: "integer" } },
+      },
+    },
+    ServerError: { description: "Unexpected failure" },
+  },
+};
+
+for (const response of Object.values(components.responses)) {
+  response.content = json(ref("ApiError"));
+}
+
+// JSON schema of a validation rule, with its default
+const ruleSchema = (rule) => {
+  const schema = JSON.parse(JSON.stringify(rule.spec));
+  if (rule.fallback !== undefined) schema.default = rule.fallback;
+  return schema;
+};
+
+const objectSchema = (rules = {}) => {
+  const entries = Object.entries(rules);
+  const required = entries.filter(([, rule]) => rule.required).map(([name]) => name);
+
+  return {
+    type: "object",
+    properties: Object.fromEntries(entries.map(([name, rule]) => [name, ruleSchema(rule)])),
+    ...(required.length && { required }),
+  };
+};
+
+const parameters = (path, schema = {}) => {
+  const pathParams = [...path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+    name,
+    in: "path",
+    required: true,
+    schema: schema.params?.[name] ? ruleSchema(schema.params[name]) : { type: "string" },
+  }));
+
+  const queryParams = Object.entries(schema.query || {}).map(([name, rule]) => ({
+    name,
+    in: "query",
+    required: rule.required,
+    schema: ruleSchema(rule),
+    // lists are sent comma separated: ?types=like,comment
+    ...(rule.spec.type === "array" && { style: "form", explode: false }),
+  }));
+
+  return [...pathParams, ...queryParams];
+};
+
+const fileSchema = (name) => {
+  const { label, maxSize } = UPLOAD_POLICIES[name];
+  const kind = label.charAt(0).toUpperCase() + label.slice(1);
+  return {
+    type: "string",
+    format: "binary",
+    description: `${kind} file, at most ${Math.round(maxSize / (1024 * 1024))} MB`,
+  };
+};
+
+const requestBody = (middleware, schema, doc) => {
+  if (middleware.some((fn) => fn.name === "rawParser")) {
+    return {
+      required: true,
+      content: { "application/octet-stream": { schema: { type: "string", format: "binary" } } },
+    };
+  }
+
+  const upload = middleware.find((fn) => fn.fileFields);
+  if (upload) {
+    const body = objectSchema(schema.body);
+    const requiredFiles = doc.requiredFiles || [];
+    for (const name of upload.fileFields) body.properties[name] = fileSchema(name);
+
+    const required = [...(body.required || []), ...requiredFiles];
+    if (required.length) body.required = required;
+
+    return { required: required.length > 0, content: { "multipart/form-data": { schema: body } } };
+  }
+
+  if (!schema.body) return undefined;
+
+  const body = objectSchema(schema.body);
+  return { required: Boolean(body.required), content: json(body) };
+};
+
+const rateLimitNote = (name) => {
+  const { windowMs, max, keyBy } = RATE_LIMITS[name];
+  return `Rate limited to ${max} requests per ${windowMs / 60000} minutes per ${keyBy === "user" ? "user" : "IP"}.`;
+};
+
+/**
+ * Describe one route from its middleware. Factories tag the functions they
+ * return, and those tags are read here: validate() sets `schema`,
+ * authorizeRoles() `roles`, the ownership checks `ownership`, rate limiters
+ * `rateLimit` and the multer parsers `fileFields`.
+ */
+const buildOperation = (route, doc) => {
+  const { middleware, path } = route;
+  const schema = Object.assign({}, ...middleware.filter((fn) => fn.schema).map((fn) => fn.schema));
+  const authenticated = middleware.includes(verifyJWT);
+  const roles = middleware.find((fn) => fn.roles)?.roles;
+  const ownership = middleware.some((fn) => fn.ownership);
+  const limiter = middleware.find((fn) => fn.rateLimit)?.rateLimit;
+  const verifiedEmail = middleware.includes(requireVerifiedEmail);
+
+  const notes = [
+    doc.description,
+    roles && `Requires one of the roles: ${roles.join(", ")}.`,
+    ownership && "Only the owner (or a privileged role) may do this.",
+    verifiedEmail && "Requires a verified email address.",
+    limiter && rateLimitNote(limiter),
+  ].filter(Boolean);
+
+  const status = doc.status || 200;
+  const responses = {
+    [status]: {
+      description: doc.summary,
+      content: json(ref("ApiResponse")),
+    },
+  };
+  const errorResponse = (code, name) => {
+    responses[code] = { $ref: `#/components/responses/${name}` };
+  };
+
+  if (middleware.some((fn) => fn.schema || fn.ownership)) errorResponse(400, "BadRequest");
+  if (authenticated) errorResponse(401, "Unauthorized");
+  if (roles || ownership || verifiedEmail) errorResponse(403, "Forbidden");
+  if (path.includes("{")) errorResponse(404, "NotFound");
+  if (limiter) errorResponse(429, "TooManyRequests");
+  errorResponse(500, "ServerError");
+
+  const body = requestBody(middleware, schema, doc);
+
+  return {
+    tags: [tagName(route.mount)],
+    summary: doc.summary,
+    ...(notes.length && { description: notes.join("\n\n") }),
+    security: authenticated ? [{ bearerAuth: [] }, { cookieAuth: [] }] : [],
+    parameters: parameters(path, schema),
+    ...(body && { requestBody: body }),
+    responses,
+  };
+};
+
+// "/users" -> "Users"
+const tagName = (mount) => mount.charAt(1).toUpperCase() + mount.slice(2);
+
+/**
+ * OpenAPI 3 document of every API route, generated from the routers: auth
+ * comes from verifyJWT, parameters and bodies from the validate() schemas,
+ * uploads from multer and error responses from the guarding middleware.
+ * Summaries and success statuses come from OPERATIONS; routes without an
+ * entry are listed with a summary saying so.
+ */
+export const buildOpenApiDocument = ({ title, version, description } = {}) => {
+  const routes = listRoutes();
+  const paths = {};
+
+  for (const route of routes) {
+    const doc = OPERATIONS[routeKey(route)] || { summary: "Undocumented" };
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method.toLowerCase()] = buildOperation(route, doc);
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: { title, version, description },
+    tags: [...new Set(routes.map((route) => tagName(route.mount)))].map((name) => ({ name })),
+    paths,
+    components,
+  };
+};
@@ -0,0 +1,173 @@
+/**
+ * What the routers can't say about themselves, keyed by "METHOD /path" as
+ * listed by listRoutes. Every mounted route needs an entry with a summary;
+ * the rest is optional:
+ *   status        - success status when it isn't 200
+ *   requiredFiles - multipart file fields the handler insists on
+ */
+export const OPERATIONS = {
+  // users
+  "POST /api/v1/users/register": {
+    summary: "Create an account",
+    description: "Sends a verification email to the new address.",
+    status: 201,
+    requiredFiles: ["avatar"],
+  },
+  "POST /api/v1/users/login": {
+    summary: "Log in with username or email",
+    description:
+      "Starts a session. The tokens are set as httpOnly cookies and returned in the body. Repeated failures lock the account for a while.",
+  },
+  "POST /api/v1/users/verify-email": { summary: "Confirm an email address with the emailed token" },
+  "POST /api/v1/users/forgot-password": {
+    summary: "Email a password reset link",
+    description: "Answers the same whether or not the address is registered.",
+  },
+  "POST /api/v1/users/reset-password": {
+    summary: "Set a new password with the emailed token",
+    description: "Signs the user out of every session.",
+  },
+  "POST /api/v1/users/logout": { summary: "End the current session" },
+  "POST /api/v1/users/refresh-token": {
+    summary: "Exchange a refresh token for a new token pair",
+    description:
+      "The token comes from the refreshToken cookie or the body. Presenting an already rotated token revokes the session.",
+  },
+  "POST /api/v1/users/verify-email/resend": { summary: "Send the verification email again" },
+  "POST /api/v1/users/change-password": {
+    summary: "Change the password",
+    description: "Other sessions are signed out; the current one stays.",
+  },
+  "GET /api/v1/users/current-user": { summary: "The logged-in user" },
+  "DELETE /api/v1/users/me": {
+    summary: "Delete the account and everything it owns",
+    description: "Requires the password.",
+  },
+  "GET /api/v1/users/me/activity": {
+    summary: "The user's own activity timeline",
+    description: "Newest first; pass the previous response's nextCursor as `before` for the next page.",
+  },
+  "GET /api/v1/users/sessions": { summary: "Devices the user is signed in on" },
+  "DELETE /api/v1/users/sessions/{sessionId}": { summary: "Sign out one session" },
+  "PATCH /api/v1/users/update-account": {
+    summary: "Update name and email",
+    description: "A new email address has to be verified again.",
+  },
+  "PATCH /api/v1/users/avatar": { summary: "Replace the avatar", requiredFiles: ["avatar"] },
+  "PATCH /api/v1/users/cover-image": { summary: "Replace the cover image", requiredFiles: ["coverImage"] },
+  "GET /api/v1/users/c/{username}": { summary: "A channel's public profile with subscriber counts" },
+  "GET /api/v1/users/history": { summary: "Watch history" },
+  "DELETE /api/v1/users/history": { summary: "Clear the watch history" },
+  "DELETE /api/v1/users/history/{videoId}": { summary: "Remove a video from the watch history" },
+
+  // videos
+  "POST /api/v1/videos/uploads": {
+    summary: "Start a resumable upload",
+    description: "Returns the session with its chunk size and count.",
+    status: 201,
+  },
+  "GET /api/v1/videos/uploads/{uploadId}": { summary: "Progress of a resumable upload" },
+  "DELETE /api/v1/videos/uploads/{uploadId}": { summary: "Abort a resumable upload" },
+  "PUT /api/v1/videos/uploads/{uploadId}/chunks/{index}": { summary: "Upload one chunk" },
+  "POST /api/v1/videos/uploads/{uploadId}/complete": {
+    summary: "Assemble the chunks and publish the video",
+    description: "The video is processed in the background; poll its status.",
+    status: 202,
+    requiredFiles: ["thumbnail"],
+  },
+  "GET /api/v1/videos": {
+    summary: "Search and list videos",
+    description: "Full-text search with duration, upload date and channel filters. Facet counts come with q, or with facets=true.",
+  },
+  "POST /api/v1/videos": {
+    summary: "Publish a video",
+    description: "The video is processed in the background; poll its status.",
+    status: 202,
+    requiredFiles: ["videoFile", "thumbnail"],
+  },
+  "GET /api/v1/videos/trending": { summary: "Trending videos for a time window" },
+  "GET /api/v1/videos/{videoId}": {
+    summary: "A video with the viewer's reaction",
+    description: "Counts a view and adds the video to the watch history.",
+  },
+  "DELETE /api/v1/videos/{videoId}": { summary: "Delete a video with its comments, likes and media" },
+  "PATCH /api/v1/videos/{videoId}": { summary: "Update title, description, tags or thumbnail" },
+  "GET /api/v1/videos/{videoId}/status": { summary: "Processing status of a video" },
+  "PATCH /api/v1/videos/toggle/publish/{videoId}": { summary: "Publish or unpublish a video" },
+  "PATCH /api/v1/videos/toggle/comments/{videoId}": { summary: "Turn comments on a video on or off" },
+
+  // tweets
+  "POST /api/v1/tweets": { summary: "Post a tweet", status: 201 },
+  "GET /api/v1/tweets/user/{userId}": { summary: "A user's tweets with comment counts" },
+  "PATCH /api/v1/tweets/{tweetId}": { summary: "Edit a tweet" },
+  "DELETE /api/v1/tweets/{tweetId}": { summary: "Delete a tweet with its likes and comments" },
+
+  // subscriptions
+  "POST /api/v1/subscriptions/c/{channelId}/toggle": {
+    summary: "Subscribe to or unsubscribe from a channel",
+    description: "201 when subscribing, 200 when unsubscribing.",
+  },
+  "GET /api/v1/subscriptions/c/{channelId}/subscribers": { summary: "A channel's subscribers" },
+  "GET /api/v1/subscriptions/u/{subscriberId}/channels": { summary: "Channels a user subscribes to" },
+
+  // comments
+  "GET /api/v1/comments/{videoId}": {
+    summary: "Top-level comments on a video",
+    description: "Pinned comment first. Hidden comments are only shown to their author and moderators.",
+  },
+  "POST /api/v1/comments/{videoId}": { summary: "Comment on a video", status: 201 },
+  "GET /api/v1/comments/t/{tweetId}": { summary: "Top-level comments on a tweet" },
+  "POST /api/v1/comments/t/{tweetId}": { summary: "Comment on a tweet", status: 201 },
+  "GET /api/v1/comments/c/{commentId}/replies": { summary: "Direct replies to a comment, oldest first" },
+  "POST /api/v1/comments/c/{commentId}/replies": { summary: "Reply to a comment", status: 201 },
+  "DELETE /api/v1/comments/c/{commentId}": {
+    summary: "Delete a comment",
+    description: "A comment with replies is kept as a placeholder. The video owner may delete comments too.",
+  },
+  "PATCH /api/v1/comments/c/{commentId}": { summary: "Edit a comment" },
+  "PATCH /api/v1/comments/c/{commentId}/pin": { summary: "Pin or unpin a comment (video owner)" },
+  "PATCH /api/v1/comments/c/{commentId}/heart": { summary: "Heart or unheart a comment (video owner)" },
+  "PATCH /api/v1/comments/c/{commentId}/hide": { summary: "Hide or unhide a comment (video owner)" },
+
+  // likes
+  "POST /api/v1/likes/toggle/v/{videoId}": {
+    summary: "Like or dislike a video",
+    description: "Sending the current reaction again removes it.",
+  },
+  "POST /api/v1/likes/toggle/c/{commentId}": { summary: "Like or dislike a comment" },
+  "POST /api/v1/likes/toggle/t/{tweetId}": { summary: "Like or dislike a tweet" },
+  "GET /api/v1/likes/videos": { summary: "Videos the user liked" },
+  "GET /api/v1/likes/tweets": { summary: "Tweets the user liked" },
+  "GET /api/v1/likes/comments": { summary: "Comments the user liked" },
+
+  // playlists
+  "POST /api/v1/playlist": { summary: "Create a playlist", status: 201 },
+  "GET /api/v1/playlist/{playlistId}": { summary: "A playlist with its videos" },
+  "PATCH /api/v1/playlist/{playlistId}": { summary: "Rename or describe a playlist" },
+  "DELETE /api/v1/playlist/{playlistId}": { summary: "Delete a playlist" },
+  "PATCH /api/v1/playlist/add/{videoId}/{playlistId}": { summary: "Add a video to a playlist" },
+  "PATCH /api/v1/playlist/remove/{videoId}/{playlistId}": { summary: "Remove a video from a playlist" },
+  "GET /api/v1/playlist/user/{userId}": { summary: "A user's playlists" },
+
+  // healthcheck
+  "GET /api/v1/healthcheck": { summary: "Liveness probe" },
+
+  // dashboard
+  "GET /api/v1/dashboard/stats": { summary: "Totals for the user's channel" },
+  "GET /api/v1/dashboard/videos": { summary: "All of the channel's videos, unpublished included" },
+
+  // admin
+  "GET /api/v1/admin/users": { summary: "List users (admin)" },
+  "PATCH /api/v1/admin/users/{userId}/role": { summary: "Change a user's role (admin)" },
+  "DELETE /api/v1/admin/videos/{id}": { summary: "Delete any video" },
+  "DELETE /api/v1/admin/comments/{id}": { summary: "Delete any comment" },
+  "DELETE /api/v1/admin/tweets/{id}": { summary: "Delete any tweet" },
+  "DELETE /api/v1/admin/playlists/{id}": { summary: "Delete any playlist" },
+
+  // feed
+  "GET /api/v1/feed/home": { summary: "Recommended videos" },
+  "GET /api/v1/feed/subscriptions": {
+    summary: "Videos and tweets from subscribed channels",
+    description: "Newest first; pass the previous response's nextCursor as `before` for the next page.",
+  },
+};
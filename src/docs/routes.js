@@ -0,0 +1,46 @@
+import { API_PREFIX, apiRouters } from "../routes/index.js";
+
+// Express path (/c/:commentId) to OpenAPI path (/c/{commentId})
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, "{$1}");
+
+const joinPath = (prefix, path) => toOpenApiPath(`${prefix}${path}`.replace(/\/+$/, "")) || "/";
+
+/**
+ * Every route of the API routers, in mount order:
+ * { method, path, mount, middleware }, `path` in OpenAPI form and
+ * `middleware` being the functions that run for it, the router-level ones
+ * added by router.use() before the route followed by the route's own stack.
+ */
+export const listRoutes = (routers = apiRouters, prefix = API_PREFIX) => {
+  const routes = [];
+
+  for (const [mount, router] of Object.entries(routers)) {
+    const shared = [];
+
+    for (const layer of router.stack) {
+      if (!layer.route) {
+        shared.push(layer.handle);
+        continue;
+      }
+
+      const { route } = layer;
+      const methods = Object.keys(route.methods).filter((method) => method !== "_all");
+
+      for (const method of methods) {
+        routes.push({
+          method: method.toUpperCase(),
+          path: joinPath(`${prefix}${mount}`, route.path),
+          mount,
+          middleware: [
+            ...shared,
+            ...route.stack.filter((entry) => entry.method === method).map((entry) => entry.handle),
+          ],
+        });
+      }
+    }
+  }
+
+  return routes;
+};
+
+export const routeKey = ({ method, path }) => `${method} ${path}`;
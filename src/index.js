@@ -1,19 +1,42 @@
 import '../config.js'
 import connectDB from "./db/indexdb.js";
 import {app} from './app.js'
+import { purgeExpiredUploads } from './services/upload.service.js'
+import { startJobWorker } from './jobs/index.js'
+import { refreshAllTrending } from './services/trending.service.js'
+import { TRENDING_REFRESH_MINUTES } from './constants.js'
+import { logger } from './utils/logger.js'
+import { getMailer } from './mail/index.js'
 
 const port = process.env.PORT || 8000
 
+// throws when MAIL_TRANSPORT is missing or unknown
+getMailer()
+
 connectDB()
 .then(() => {
     app.on("error",(error)=>{
-      console.log("Error: ",error);
+      logger.error("Server error", { err: error });
       throw error;
     })
     app.listen(port, () => {
-        console.log(`Server is running at port : ${port}`);
+        logger.info("Server listening", { port });
     })
+
+    // background media processing
+    startJobWorker()
+
+    // free chunk files of abandoned resumable uploads once an hour
+    setInterval(() => {
+      purgeExpiredUploads().catch((error) => logger.error("Upload cleanup failed", { err: error }))
+    }, 60 * 60 * 1000).unref()
+
+    // build the trending rankings now, then keep them warm
+    const refreshTrending = () =>
+      refreshAllTrending().catch((error) => logger.error("Trending refresh failed", { err: error }))
+    refreshTrending()
+    setInterval(refreshTrending, TRENDING_REFRESH_MINUTES * 60 * 1000).unref()
 })
 .catch((error) => {
-    console.log("MongoDB Connection Failed !!! ", error);
+    logger.error("Startup failed", { err: error });
 })
\ No newline at end of file
@@ -0,0 +1,8 @@
+import { registerJob } from "./queue.js";
+import { VIDEO_PROCESSING_JOB, processVideo, markFailed } from "./videoProcessing.job.js";
+
+// Every job type is registered here, before any worker starts polling
+registerJob(VIDEO_PROCESSING_JOB, processVideo, { onFailed: markFailed });
+
+export { enqueue, startWorker as startJobWorker } from "./queue.js";
+export { VIDEO_PROCESSING_JOB };
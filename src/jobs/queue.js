@@ -0,0 +1,136 @@
+import os from "os";
+import crypto from "crypto";
+import { Job } from "../models/job.model.js";
+import { logger, withLogContext, getLogContext } from "../utils/logger.js";
+
+// A running job's lock is renewed every HEARTBEAT_MS; one not renewed for
+// LOCK_TIMEOUT_MS is assumed to belong to a dead worker
+const LOCK_TIMEOUT_MS = 15 * 60 * 1000;
+const HEARTBEAT_MS = LOCK_TIMEOUT_MS / 3;
+
+const workerId = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+
+const handlers = new Map();
+
+/**
+ * Register the function that runs jobs of `type`.
+ * handler(payload, job) performs the work; onFailed(payload, error, job) runs
+ * once the job has used up its attempts.
+ */
+const registerJob = (type, handler, { onFailed } = {}) => {
+  handlers.set(type, { handler, onFailed });
+};
+
+// Remembers the request being handled, so the job's logs carry its requestId
+const enqueue = (type, payload = {}, { maxAttempts = 3, runAt = new Date() } = {}) =>
+  Job.create({ type, payload, maxAttempts, runAt, requestId: getLogContext().requestId });
+
+// Atomically take the oldest due job, or one whose worker stopped renewing its lock
+const claimNextJob = () => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: [...handlers.keys()] },
+      $or: [
+        { status: "queued", runAt: { $lte: now } },
+        { status: "running", lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    {
+      $set: { status: "running", lockedAt: now, lockedBy: workerId },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Exponential backoff between attempts: 10s, 20s, 40s...
+const retryDelay = (attempts) => 10_000 * 2 ** (attempts - 1);
+
+// Keep the lock fresh while the handler runs, so long jobs (a large upload) aren't claimed twice
+const holdLock = (job) => {
+  const timer = setInterval(() => {
+    Job.updateOne({ _id: job._id, lockedBy: workerId }, { $set: { lockedAt: new Date() } }).catch((error) =>
+      logger.warn("Job lock renewal failed", { err: error })
+    );
+  }, HEARTBEAT_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+const attemptJob = async (job) => {
+  const { handler, onFailed } = handlers.get(job.type);
+  const releaseLock = holdLock(job);
+
+  try {
+    await handler(job.payload, job);
+    releaseLock();
+    await Job.updateOne(
+      { _id: job._id },
+      { $set: { status: "completed", finishedAt: new Date() }, $unset: { lockedAt: "", lockedBy: "", lastError: "" } }
+    );
+  } catch (error) {
+    releaseLock();
+    const exhausted = job.attempts >= job.maxAttempts;
+    const fields = { err: error, attempts: job.attempts, maxAttempts: job.maxAttempts };
+    if (exhausted) logger.error("Job failed", fields);
+    else logger.warn("Job attempt failed, will retry", fields);
+
+    await Job.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: exhausted ? "failed" : "queued",
+          runAt: new Date(Date.now() + retryDelay(job.attempts)),
+          lastError: error?.message || String(error),
+          ...(exhausted && { finishedAt: new Date() }),
+        },
+        $unset: { lockedAt: "", lockedBy: "" },
+      }
+    );
+
+    if (exhausted && onFailed) {
+      await Promise.resolve(onFailed(job.payload, error, job)).catch((hookError) =>
+        logger.error("Job failure hook errored", { err: hookError })
+      );
+    }
+  }
+};
+
+// Everything the job logs is tagged with it and the request that queued it
+const runJob = (job) =>
+  withLogContext({ requestId: job.requestId, jobId: job._id, jobType: job.type }, () => attemptJob(job));
+
+/**
+ * Poll the jobs collection and run due jobs one at a time.
+ * Returns a function that stops the worker.
+ */
+const startWorker = ({ pollInterval = 2000 } = {}) => {
+  let stopped = false;
+  let timer;
+
+  const tick = async () => {
+    if (stopped) return;
+    try {
+      let job;
+      while (!stopped && (job = await claimNextJob())) {
+        await runJob(job);
+      }
+    } catch (error) {
+      logger.error("Job worker error", { err: error });
+    }
+    if (!stopped) {
+      timer = setTimeout(tick, pollInterval);
+      timer.unref();
+    }
+  };
+
+  tick();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+};
+
+export { registerJob, enqueue, startWorker, claimNextJob, runJob };
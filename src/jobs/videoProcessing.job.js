@@ -0,0 +1,68 @@
+import fs from "fs";
+import { Video } from "../models/video.model.js";
+import { getStorage, deleteFile } from "../storage/index.js";
+import { getVideoDuration } from "../utils/mediaInfo.js";
+
+export const VIDEO_PROCESSING_JOB = "video.process";
+
+const removeLocalFiles = (...paths) =>
+  Promise.all(paths.filter(Boolean).map((filePath) => fs.promises.rm(filePath, { force: true })));
+
+/**
+ * Upload the video and thumbnail left on local disk by the request, read the
+ * duration and mark the video ready. Each finished step is saved on the video
+ * so a retried job skips it; temp files are kept until their step succeeds.
+ */
+const processVideo = async ({ videoId, videoFilePath, thumbnailPath }) => {
+  const video = await Video.findById(videoId);
+
+  // deleted while queued: nothing left to process
+  if (!video) {
+    await removeLocalFiles(videoFilePath, thumbnailPath);
+    return;
+  }
+
+  const storage = getStorage();
+
+  if (!video.videoFile) {
+    const localDuration = await getVideoDuration(videoFilePath);
+    const uploaded = await storage.upload(videoFilePath, { folder: "videos" });
+
+    video.videoFile = uploaded.url;
+    video.duration = uploaded.duration ?? localDuration ?? 0;
+    await video.save();
+    await removeLocalFiles(videoFilePath);
+  }
+
+  if (!video.thumbnail) {
+    const uploaded = await storage.upload(thumbnailPath, { folder: "thumbnails" });
+
+    video.thumbnail = uploaded.url;
+    await video.save();
+    await removeLocalFiles(thumbnailPath);
+  } else {
+    // the owner replaced the thumbnail while the video was processing
+    await removeLocalFiles(thumbnailPath);
+  }
+
+  video.status = "ready";
+  video.processingError = undefined;
+  await video.save();
+};
+
+// Media already uploaded by an earlier step is deleted, a failed video keeps no assets
+const markFailed = async ({ videoId, videoFilePath, thumbnailPath }, error) => {
+  const video = await Video.findById(videoId).select("videoFile thumbnail");
+  await Promise.all([video?.videoFile, video?.thumbnail].filter(Boolean).map((url) => deleteFile(url)));
+
+  await Video.updateOne(
+    { _id: videoId },
+    {
+      $set: { status: "failed", processingError: error?.message || "Processing failed" },
+      $unset: { videoFile: "", thumbnail: "", duration: "" },
+    }
+  );
+  await removeLocalFiles(videoFilePath, thumbnailPath);
+};
+
+export { processVideo, markFailed };
@@ -0,0 +1,35 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { logger } from '../utils/logger.js'
+
+// Development transports: keep each message as a JSON file, or just log that one was sent
+
+// Outside public/, which express.static serves: the messages carry tokens
+const mailDir = () => path.resolve(process.env.MAIL_FILE_DIR || 'var/mail')
+
+const fileTransport = {
+  name: 'file',
+
+  async send(message) {
+    const id = `${Date.now()}-${crypto.randomUUID()}`
+    await fs.promises.mkdir(mailDir(), { recursive: true })
+    await fs.promises.writeFile(
+      path.join(mailDir(), `${id}.json`),
+      JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+    )
+    return { id }
+  }
+}
+
+const consoleTransport = {
+  name: 'console',
+
+  // the body holds verification and reset links, so only the envelope is logged
+  async send(message) {
+    logger.info('Mail sent', { to: message.to, subject: message.subject })
+    return { id: crypto.randomUUID() }
+  }
+}
+
+export { fileTransport, consoleTransport }
@@ -0,0 +1,44 @@
+import { smtpTransport } from './smtp.transport.js'
+import { fileTransport, consoleTransport } from './file.transport.js'
+import { logger } from '../utils/logger.js'
+
+const transports = {
+  [smtpTransport.name]: smtpTransport,
+  [fileTransport.name]: fileTransport,
+  [consoleTransport.name]: consoleTransport
+}
+
+// Selected by MAIL_TRANSPORT (smtp | file | console), read lazily so config.js has run.
+// Only development may leave it unset; index.js calls this at boot so a
+// misconfigured server fails to start rather than dropping mail.
+const getMailer = () => {
+  const fallback = process.env.NODE_ENV === 'development' ? consoleTransport.name : undefined
+  const name = process.env.MAIL_TRANSPORT || fallback
+  if(!name){
+    throw new Error('MAIL_TRANSPORT must be set outside development')
+  }
+  const transport = transports[name]
+  if(!transport){
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}"`)
+  }
+  return transport
+}
+
+/**
+ * Send { to, subject, text, html } with the configured transport.
+ * Resolves to { id } or null on failure; failures are logged, never thrown,
+ * so a mail outage doesn't fail the request that triggered it.
+ */
+const sendMail = async (message) => {
+  try {
+    return await getMailer().send({
+      from: process.env.MAIL_FROM || 'no-reply@localhost',
+      ...message
+    })
+  } catch (error) {
+    logger.error('Mail failed', { err: error, subject: message.subject })
+    return null
+  }
+}
+
+export { getMailer, sendMail }
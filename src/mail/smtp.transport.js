@@ -0,0 +1,29 @@
+import nodemailer from 'nodemailer'
+
+let transporter
+
+// Created on first use so config.js has loaded the SMTP_* variables
+const getTransporter = () => {
+  if(!transporter){
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    })
+  }
+  return transporter
+}
+
+const smtpTransport = {
+  name: 'smtp',
+
+  async send(message) {
+    const info = await getTransporter().sendMail(message)
+    return { id: info.messageId }
+  }
+}
+
+export { smtpTransport }
@@ -0,0 +1,30 @@
+// Links point at the client app, which posts the token back to the API
+const link = (pathname, token) => {
+  const base = (process.env.CLIENT_URL || process.env.CORS_ORIGIN || '').replace(/\/$/, '')
+  return `${base}${pathname}?token=${encodeURIComponent(token)}`
+}
+
+const verifyEmailMessage = (user, token, ttlHours) => {
+  const url = link('/verify-email', token)
+  return {
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.fullName},\n\nConfirm your email address by opening this link within ${ttlHours} hours:\n${url}\n\nIf you didn't create an account, ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.fullName)},</p><p>Confirm your email address by opening <a href="${url}">this link</a> within ${ttlHours} hours.</p><p>If you didn't create an account, ignore this email.</p>`
+  }
+}
+
+const resetPasswordMessage = (user, token, ttlMinutes) => {
+  const url = link('/reset-password', token)
+  return {
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.fullName},\n\nReset your password by opening this link within ${ttlMinutes} minutes:\n${url}\n\nIf you didn't ask for a reset, ignore this email; your password is unchanged.`,
+    html: `<p>Hi ${escapeHtml(user.fullName)},</p><p>Reset your password by opening <a href="${url}">this link</a> within ${ttlMinutes} minutes.</p><p>If you didn't ask for a reset, ignore this email; your password is unchanged.</p>`
+  }
+}
+
+const escapeHtml = (value = '') =>
+  String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`)
+
+export { verifyEmailMessage, resetPasswordMessage }
@@ -1,26 +1,56 @@
 import { ApiError } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { User } from "../models/user.model.js";
+import { isSessionActive } from "../services/session.service.js";
 import jwt from 'jsonwebtoken'
 
 export const verifyJWT = asyncHandler(async (req, _ , next)=>{
-  try {
-    const token = req.cookies?.accessToken || req.header("Authorization")?.replace("Bearer ","")
-    if(!token){
-      throw new ApiError(400, "Unautorized Request")
+  const token = req.cookies?.accessToken || req.header("Authorization")?.replace("Bearer ","")
+  if(!token){
+    throw new ApiError(401, "Unautorized Request")
+  }
+
+  // jwt errors (expired, malformed) are mapped to 401 by the error middleware
+  const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET)
+
+  // tokens stop working as soon as their login session is revoked
+  const [user, sessionActive] = await Promise.all([
+    User.findById(decodedToken._id).select("-password"),
+    decodedToken.sid ? isSessionActive(decodedToken.sid) : null
+  ])
+
+  if(!user || !sessionActive){
+    throw new ApiError(401, "Invalid Access Token")
+  }
+
+  req.user = user
+  req.sessionId = decodedToken.sid
+  next()
+})
+
+// Use after verifyJWT: allows the request through only for the given roles
+export const authorizeRoles = (...roles) => {
+  const middleware = (req, _, next) => {
+    if(!req.user){
+      return next(new ApiError(401, "Unautorized Request"))
     }
-  
-    const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET)
-  
-    const user = await User.findById(decodedToken._id).select("-password -refreshToken")
-  
-    if(!user){
-      throw new ApiError(401, "Invalid Access Token")
+
+    if(!roles.includes(req.user.role)){
+      return next(new ApiError(403, "You do not have permission to perform this action"))
     }
-  
-    req.user = user
+
     next()
-  } catch (error) {
-    throw new ApiError(401, error?.message || "Invalid Access Token")
   }
-})
\ No newline at end of file
+
+  middleware.roles = roles
+  return middleware
+}
+
+// Use after verifyJWT on routes an unconfirmed address shouldn't reach, such as publishing
+export const requireVerifiedEmail = (req, _, next) => {
+  if(!req.user?.isEmailVerified){
+    return next(new ApiError(403, "Verify your email address first"))
+  }
+
+  next()
+}
@@ -0,0 +1,105 @@
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import multer from "multer";
+import { ApiError } from "../utils/ApiError.js";
+import { logger, redactUrl } from "../utils/logger.js";
+
+// Translate known library errors into an ApiError so every failure has the same shape
+const normalizeError = (err) => {
+  if (err instanceof ApiError) return err;
+
+  if (err instanceof mongoose.Error.CastError) {
+    return new ApiError(400, `Invalid ${err.path}: ${err.value}`, [], err.stack);
+  }
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    const errors = Object.values(err.errors).map((e) => ({
+      field: e.path,
+      message: e.message,
+    }));
+    return new ApiError(400, "Validation failed", errors, err.stack);
+  }
+
+  if (err?.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    const errors = fields.map((field) => ({
+      field,
+      message: `${field} already exists`,
+    }));
+    return new ApiError(409, `Duplicate value for ${fields.join(", ") || "unique field"}`, errors, err.stack);
+  }
+
+  if (err instanceof jwt.TokenExpiredError) {
+    return new ApiError(401, "Token has expired", [], err.stack);
+  }
+
+  if (err instanceof jwt.JsonWebTokenError) {
+    return new ApiError(401, "Invalid token", [], err.stack);
+  }
+
+  if (err instanceof multer.MulterError) {
+    const statusCode = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+    const errors = err.field ? [{ field: err.field, message: err.message }] : [];
+    return new ApiError(statusCode, err.message, errors, err.stack);
+  }
+
+  // body-parser failures from express.json / express.urlencoded
+  if (err?.type === "entity.parse.failed") {
+    return new ApiError(400, "Malformed request body", [], err.stack);
+  }
+  if (err?.type === "entity.too.large") {
+    return new ApiError(413, "Request body too large", [], err.stack);
+  }
+
+  const statusCode = err?.statusCode || err?.status || 500;
+  const message = statusCode < 500 && err?.message ? err.message : "Internal Server Error";
+  return new ApiError(statusCode, message, [], err?.stack);
+};
+
+export const notFoundHandler = (req, _, next) => {
+  next(new ApiError(404, `Route not found: ${req.method} ${redactUrl(req.originalUrl)}`));
+};
+
+// raw upload chunks arrive as a Buffer, which the logger only summarises
+const hasContent = (value) =>
+  Buffer.isBuffer(value) ? value.length > 0 : Object.keys(value || {}).length > 0;
+
+// Client errors are logged as warnings; server errors with the original error and its stack
+const logError = (error, err, req) => {
+  const fields = {
+    statusCode: error.statusCode,
+    method: req.method,
+    url: redactUrl(req.originalUrl),
+    userId: req.user?._id,
+    ...(error.errors.length && { errors: error.errors }),
+    ...(hasContent(req.query) && { query: req.query }),
+    ...(hasContent(req.body) && { body: req.body }),
+  };
+
+  if (error.statusCode >= 500) {
+    logger.error(error.message, { ...fields, err });
+  } else {
+    logger.warn(error.message, fields);
+  }
+};
+
+// Express recognises error middleware by its four parameters, so keep `next`
+export const errorHandler = (err, req, res, next) => {
+  const error = normalizeError(err);
+
+  logError(error, err, req);
+
+  const body = {
+    statusCode: error.statusCode,
+    data: null,
+    message: error.message,
+    success: false,
+    errors: error.errors,
+  };
+
+  if (process.env.NODE_ENV !== "production") {
+    body.stack = error.stack;
+  }
+
+  res.status(error.statusCode).json(body);
+};
@@ -1,12 +1,118 @@
 import multer from "multer"
+import fs from "fs"
+import path from "path"
+import crypto from "crypto"
+import { ApiError } from "../utils/ApiError.js"
+import { sniffFileType } from "../utils/fileType.js"
+import { logger } from "../utils/logger.js"
+import { MAX_IMAGE_UPLOAD_SIZE, MAX_VIDEO_UPLOAD_SIZE } from "../constants.js"
+
+const IMAGE_POLICY = { kind: "image", label: "an image", maxSize: MAX_IMAGE_UPLOAD_SIZE }
+const VIDEO_POLICY = { kind: "video", label: "a video", maxSize: MAX_VIDEO_UPLOAD_SIZE }
+
+// Every field that accepts a file, with the content it must hold
+export const UPLOAD_POLICIES = {
+  avatar: IMAGE_POLICY,
+  coverImage: IMAGE_POLICY,
+  thumbnail: IMAGE_POLICY,
+  videoFile: VIDEO_POLICY
+}
+
+const toMB = (bytes) => Math.round(bytes / (1024 * 1024))
 
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
     cb(null, './public/temp')
   },
+  // never trust the client's name: a random one can't collide or escape the folder
   filename: function (req, file, cb) {
-    cb(null, file.originalname)
+    cb(null, crypto.randomUUID())
   }
 })
 
-export const upload = multer({ storage: storage })
\ No newline at end of file
+// Cheap check on the declared type; the content is sniffed once it's on disk
+const fileFilter = (req, file, cb) => {
+  const policy = UPLOAD_POLICIES[file.fieldname]
+  const declared = file.mimetype || ""
+
+  if (!declared.startsWith(`${policy.kind}/`) && declared !== "application/octet-stream") {
+    return cb(new ApiError(415, `${file.fieldname} must be ${policy.label} file`))
+  }
+  cb(null, true)
+}
+
+const uploadedFiles = (req) => {
+  if (req.file) return [req.file]
+  if (Array.isArray(req.files)) return req.files
+  return Object.values(req.files || {}).flat()
+}
+
+// Temp files are removed once the response is done unless a handler kept them
+const cleanupAfterResponse = (req, res, next) => {
+  res.on("close", () => {
+    if (req.keepUploadedFiles) return
+    Promise.all(uploadedFiles(req).map((file) => fs.promises.rm(file.path, { force: true })))
+      .catch((error) => logger.warn("Failed to remove temp upload", { err: error }))
+  })
+  next()
+}
+
+// Enforce the per-field size and verify the bytes really are an image/video
+const validateUploadedFiles = async (req, _, next) => {
+  try {
+    for (const file of uploadedFiles(req)) {
+      const policy = UPLOAD_POLICIES[file.fieldname]
+
+      if (file.size > policy.maxSize) {
+        throw new ApiError(413, `${file.fieldname} must be at most ${toMB(policy.maxSize)} MB`)
+      }
+
+      const type = await sniffFileType(file.path)
+      if (type?.kind !== policy.kind) {
+        throw new ApiError(415, `${file.fieldname} must be ${policy.label} file`)
+      }
+
+      // give the file the extension of what it actually is
+      const sniffedPath = `${file.path}${type.ext}`
+      await fs.promises.rename(file.path, sniffedPath)
+      file.path = sniffedPath
+      file.filename = path.basename(sniffedPath)
+      file.mimetype = type.mime
+    }
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+const policiesFor = (fieldNames) => fieldNames.map((name) => {
+  const policy = UPLOAD_POLICIES[name]
+  if (!policy) throw new Error(`No upload policy for field "${name}"`)
+  return policy
+})
+
+// One multer instance per route so its byte limit is the largest field it accepts
+const withPolicies = (fieldNames, attach) => {
+  const fileSize = Math.max(...policiesFor(fieldNames).map((policy) => policy.maxSize))
+  const instance = multer({
+    storage,
+    fileFilter,
+    limits: { fileSize }
+  })
+  const parser = attach(instance)
+  parser.fileFields = fieldNames
+  return [cleanupAfterResponse, parser, validateUploadedFiles]
+}
+
+export const upload = {
+  single: (name) => withPolicies([name], (instance) => instance.single(name)),
+  fields: (fields) => withPolicies(
+    fields.map((field) => field.name),
+    (instance) => instance.fields(fields)
+  )
+}
+
+// Call when the temp files were handed to something that outlives the request
+export const keepUploadedFiles = (req) => {
+  req.keepUploadedFiles = true
+}
@@ -0,0 +1,56 @@
+import { isValidObjectId } from "mongoose";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+// True when the user owns the document; compares ObjectIds, never `req.user.id` strings
+export const isOwner = (doc, user) => {
+  if (!doc?.owner || !user?._id) return false;
+  const ownerId = doc.owner._id ?? doc.owner;
+  return ownerId.toString() === user._id.toString();
+};
+
+/**
+ * Use after verifyJWT on routes restricted to a document's owner.
+ * Loads `Model` by `req.params[param]`, answers 400/404/403 as needed and
+ * exposes the loaded document as `req.resource` for the controller.
+ *
+ * options.param - route param holding the id
+ * options.label - name used in error messages
+ * options.roles - roles allowed to act on documents they don't own
+ * options.allow - async (doc, user) => boolean, grants access to other users
+ *                 such as the owner of the video a comment was left on
+ * options.ownerAccess - set false when owning the document is not enough
+ */
+export const verifyOwnership = (
+  Model,
+  { param, label = Model.modelName, roles = [], allow, ownerAccess = true }
+) => {
+  const middleware = asyncHandler(async (req, _, next) => {
+    const id = req.params[param];
+
+    if (!isValidObjectId(id)) {
+      throw new ApiError(400, `Invalid ${param}`);
+    }
+
+    const doc = await Model.findById(id);
+
+    if (!doc) {
+      throw new ApiError(404, `${label} not found`);
+    }
+
+    const allowed =
+      (ownerAccess && isOwner(doc, req.user)) ||
+      roles.includes(req.user?.role) ||
+      (allow && (await allow(doc, req.user)));
+
+    if (!allowed) {
+      throw new ApiError(403, `You are not allowed to access this ${label.toLowerCase()}`);
+    }
+
+    req.resource = doc;
+    next();
+  });
+
+  middleware.ownership = { param, label };
+  return middleware;
+};
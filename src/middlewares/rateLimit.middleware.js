@@ -0,0 +1,41 @@
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getRateLimitStore } from "../rateLimit/index.js";
+import { RATE_LIMITS } from "../constants.js";
+
+/**
+ * Limit requests with the named policy from RATE_LIMITS. Every response
+ * carries RateLimit-Limit/-Remaining/-Reset; once the limit is hit the
+ * request is answered 429 with Retry-After. Put it after verifyJWT for
+ * policies keyed by user.
+ */
+export const rateLimit = (name) => {
+  const policy = RATE_LIMITS[name];
+  if (!policy) throw new Error(`Unknown rate limit policy "${name}"`);
+
+  const { windowMs, max, keyBy } = policy;
+
+  const middleware = asyncHandler(async (req, res, next) => {
+    const client = keyBy === "user" && req.user?._id ? `user:${req.user._id}` : `ip:${req.ip}`;
+    const { count, resetAt } = await getRateLimitStore().increment(`${name}:${client}`, windowMs);
+
+    const resetSeconds = Math.max(Math.ceil((resetAt.getTime() - Date.now()) / 1000), 0);
+
+    res.set({
+      "RateLimit-Policy": `${max};w=${Math.ceil(windowMs / 1000)}`,
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(Math.max(max - count, 0)),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+
+    if (count > max) {
+      res.set("Retry-After", String(resetSeconds));
+      throw new ApiError(429, `Too many requests, try again in ${resetSeconds} seconds`);
+    }
+
+    next();
+  });
+
+  middleware.rateLimit = name;
+  return middleware;
+};
@@ -0,0 +1,38 @@
+import crypto from "crypto";
+import { logger, withLogContext, redactUrl } from "../utils/logger.js";
+
+// An id from an upstream proxy is kept when it looks like one, otherwise a new one is minted
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Mount first. Tags the request with a correlation id, echoed back in
+ * X-Request-Id and attached to every log line written while handling it
+ * (background jobs it enqueues included), and writes one access log line
+ * with status and latency once the response is done.
+ */
+export const requestLogger = (req, res, next) => {
+  const incoming = req.get("x-request-id");
+  req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader("X-Request-Id", req.id);
+
+  const startedAt = process.hrtime.bigint();
+
+  res.on("close", () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+    // "close" may fire outside the request's async context, so the id is passed explicitly
+    logger.info(res.writableFinished ? "request completed" : "request aborted", {
+      requestId: req.id,
+      method: req.method,
+      url: redactUrl(req.originalUrl),
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      bytes: Number(res.getHeader("content-length")) || undefined,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+      userId: req.user?._id,
+    });
+  });
+
+  withLogContext({ requestId: req.id }, next);
+};
@@ -0,0 +1,63 @@
+import { ApiError } from "../utils/ApiError.js";
+import { RuleError } from "../validators/rules.js";
+
+const SOURCES = ["params", "query", "body"];
+
+// An empty query parameter (`?q=`) counts as not sent
+const isMissing = (value, source) =>
+  value === undefined || value === null || (source === "query" && value === "");
+
+/**
+ * Check req.params, req.query and req.body against a schema of rules
+ * ({ params: { videoId: objectId() }, query: { ...pagination() } }).
+ * Values are replaced by their coerced form and defaults are filled in;
+ * fields the schema doesn't mention pass through untouched. Every failing
+ * field is reported at once as a 400 with { field, location, message } errors.
+ * On multipart routes it goes after multer, which is what fills req.body.
+ */
+export const validate = (schema) => {
+  const middleware = (req, _, next) => {
+    const errors = [];
+
+    for (const source of SOURCES) {
+      const rules = schema[source];
+      if (!rules) continue;
+
+      const input = req[source] || {};
+      const output = { ...input };
+
+      for (const [name, rule] of Object.entries(rules)) {
+        const value = input[name];
+
+        if (isMissing(value, source)) {
+          delete output[name];
+          if (rule.required) {
+            errors.push({ field: name, location: source, message: `${name} is required` });
+          } else if (rule.fallback !== undefined) {
+            output[name] = rule.fallback;
+          }
+          continue;
+        }
+
+        try {
+          output[name] = rule.parse(value, name);
+        } catch (error) {
+          if (!(error instanceof RuleError)) return next(error);
+          errors.push({ field: name, location: source, message: error.message });
+        }
+      }
+
+      // req.query is a getter in Express 5, so it is redefined rather than assigned
+      Object.defineProperty(req, source, { value: output, writable: true, configurable: true, enumerable: true });
+    }
+
+    if (errors.length) {
+      return next(new ApiError(400, "Validation failed", errors));
+    }
+
+    next();
+  };
+
+  middleware.schema = schema;
+  return middleware;
+};
@@ -5,15 +5,58 @@ const commentSchema = new Schema(
     {
         content: {
             type: String,
-            required: true
+            required: function () {
+                return !this.isDeleted
+            }
         },
         video: {
             type: Schema.Types.ObjectId,
             ref: "Video"
         },
+        tweet: {
+            type: Schema.Types.ObjectId,
+            ref: "Tweet"
+        },
         owner: {
             type: Schema.Types.ObjectId,
             ref: "User"
+        },
+        parentComment: {
+            type: Schema.Types.ObjectId,
+            ref: "Comment",
+            default: null
+        },
+        depth: {
+            type: Number, //0 for top-level comments
+            default: 0
+        },
+        likesCount: {
+            type: Number,
+            default: 0
+        },
+        dislikesCount: {
+            type: Number,
+            default: 0
+        },
+        replyCount: {
+            type: Number, //direct replies only
+            default: 0
+        },
+        isPinned: {
+            type: Boolean, //set by the video owner, one per video
+            default: false
+        },
+        isHearted: {
+            type: Boolean, //liked by the video owner
+            default: false
+        },
+        isHidden: {
+            type: Boolean, //hidden by the video owner, still visible to its author
+            default: false
+        },
+        isDeleted: {
+            type: Boolean, //tombstone kept so the replies under it stay attached
+            default: false
         }
     },
     {
@@ -21,6 +64,18 @@ const commentSchema = new Schema(
     }
 )
 
+// A comment belongs to exactly one video or tweet
+commentSchema.pre("validate", function (next) {
+    if (Boolean(this.video) === Boolean(this.tweet)) {
+        this.invalidate("video", "A comment must belong to either a video or a tweet")
+    }
+    next()
+})
+
+commentSchema.index({ video: 1, parentComment: 1, createdAt: -1 })
+commentSchema.index({ tweet: 1, parentComment: 1, createdAt: -1 })
+commentSchema.index({ parentComment: 1, createdAt: 1 })
+commentSchema.index({ video: 1 }, { unique: true, partialFilterExpression: { isPinned: true } })
 
 commentSchema.plugin(mongooseAggregatePaginate)
 
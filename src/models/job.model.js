@@ -0,0 +1,50 @@
+import mongoose, {Schema} from "mongoose";
+import { FINISHED_JOB_TTL_SECONDS } from "../constants.js";
+
+const jobSchema = new Schema({
+    type: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: ["queued", "running", "completed", "failed"],
+        default: "queued"
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 3
+    },
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: {
+        type: Date
+    },
+    lockedBy: {
+        type: String
+    },
+    lastError: {
+        type: String
+    },
+    finishedAt: {
+        type: Date,
+        expires: FINISHED_JOB_TTL_SECONDS
+    },
+    requestId: {
+        type: String //the request that queued the job, for correlating its logs
+    }
+}, {timestamps: true})
+
+jobSchema.index({ status: 1, runAt: 1 })
+
+export const Job = mongoose.model("Job", jobSchema)
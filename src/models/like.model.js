@@ -18,7 +18,19 @@ const likeSchema = new Schema({
         type: Schema.Types.ObjectId,
         ref: "User"
     },
-    
+    reaction: {
+        type: String,
+        enum: ["like", "dislike"],
+        default: "like"
+    }
 }, {timestamps: true})
 
+// One reaction per user and item
+for (const field of ["video", "comment", "tweet"]) {
+    likeSchema.index(
+        { [field]: 1, likedBy: 1 },
+        { unique: true, partialFilterExpression: { [field]: { $exists: true } } }
+    )
+}
+
 export const Like = mongoose.model("Like", likeSchema)
\ No newline at end of file
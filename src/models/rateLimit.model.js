@@ -0,0 +1,22 @@
+import mongoose, {Schema} from "mongoose";
+
+// Hit counter of one rate limit key for the current window; the TTL index
+// drops it once the window is over
+const rateLimitSchema = new Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    resetAt: {
+        type: Date,
+        required: true,
+        expires: 0
+    }
+})
+
+export const RateLimit = mongoose.model("RateLimit", rateLimitSchema)
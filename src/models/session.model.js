@@ -0,0 +1,43 @@
+import mongoose, {Schema} from "mongoose";
+
+// One document per login (device). The refresh token is rotated on every use
+// and only the hash of the current one is kept; every token issued for the
+// session belongs to the same family, so presenting a rotated-out token
+// revokes the session. The TTL index drops sessions once they expire.
+const sessionSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    userAgent: {
+        type: String
+    },
+    ip: {
+        type: String
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+        expires: 0
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: ["logout", "revoked", "reuse", "password-change"]
+    }
+}, {timestamps: true})
+
+export const Session = mongoose.model("Session", sessionSchema)
@@ -0,0 +1,43 @@
+import mongoose, {Schema} from "mongoose";
+
+// Precomputed trending ranking, rebuilt periodically per window
+const trendingVideoSchema = new Schema({
+    window: {
+        type: String,
+        enum: ["24h", "7d", "30d"],
+        required: true
+    },
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video",
+        required: true
+    },
+    rank: {
+        type: Number,
+        required: true
+    },
+    score: {
+        type: Number,
+        required: true
+    },
+    views: {
+        type: Number,
+        default: 0
+    },
+    likes: {
+        type: Number,
+        default: 0
+    },
+    comments: {
+        type: Number,
+        default: 0
+    },
+    computedAt: {
+        type: Date,
+        required: true
+    }
+})
+
+trendingVideoSchema.index({ window: 1, computedAt: -1, rank: 1 })
+
+export const TrendingVideo = mongoose.model("TrendingVideo", trendingVideoSchema)
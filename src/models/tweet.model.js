@@ -8,6 +8,14 @@ const tweetSchema = new Schema({
     owner: {
         type: Schema.Types.ObjectId,
         ref: "User"
+    },
+    likesCount: {
+        type: Number,
+        default: 0
+    },
+    dislikesCount: {
+        type: Number,
+        default: 0
     }
 }, {timestamps: true})
 
@@ -0,0 +1,66 @@
+import mongoose, {Schema} from "mongoose";
+
+const uploadSessionSchema = new Schema({
+    owner: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    fileName: {
+        type: String,
+        required: true
+    },
+    mimeType: {
+        type: String
+    },
+    fileSize: {
+        type: Number,
+        required: true
+    },
+    chunkSize: {
+        type: Number,
+        required: true
+    },
+    totalChunks: {
+        type: Number,
+        required: true
+    },
+    checksum: {
+        type: String, //sha256 hex of the whole file
+        required: true
+    },
+    receivedChunks: [
+        {
+            type: Number
+        }
+    ],
+    title: {
+        type: String,
+        required: true
+    },
+    description: {
+        type: String,
+        required: true
+    },
+    tags: [
+        {
+            type: String
+        }
+    ],
+    status: {
+        type: String,
+        enum: ["pending", "assembling", "completed", "aborted"],
+        default: "pending"
+    },
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video"
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+        index: true
+    }
+}, {timestamps: true})
+
+export const UploadSession = mongoose.model("UploadSession", uploadSessionSchema)
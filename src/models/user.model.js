@@ -1,6 +1,8 @@
 import mongoose, {Schema} from 'mongoose'
 import jwt from "jsonwebtoken";
 import bcrypt from 'bcrypt'
+import crypto from 'crypto'
+import { USER_ROLES } from '../constants.js'
 
 const userSchema = new Schema(
   {
@@ -42,8 +44,24 @@ const userSchema = new Schema(
       type: String,
       required: [true, "Password is Required"]
     },
-    refreshToken: {
-      type: String
+    isEmailVerified: {
+      type: Boolean,
+      default: false
+    },
+    failedLoginCount: {
+      type: Number, //failed logins since the last successful one
+      default: 0,
+      select: false
+    },
+    lockedUntil: {
+      type: Date,
+      select: false
+    },
+    role: {
+      type: String,
+      enum: Object.values(USER_ROLES),
+      default: USER_ROLES.USER,
+      index: true
     }
   },
   {
@@ -61,10 +79,12 @@ userSchema.methods.isPasswordCorrect = async function (password) {
   return await bcrypt.compare(password, this.password)
 }
 
-userSchema.methods.generateAccessToken = function () {
+// Both tokens carry the id of the login session they were issued for
+userSchema.methods.generateAccessToken = function (sessionId) {
   return jwt.sign(
     {
       _id: this._id,
+      sid: sessionId,
       email: this.email,
       username: this.username,
       fullName: this.fullname
@@ -76,10 +96,12 @@ userSchema.methods.generateAccessToken = function () {
   )
 }
 
-userSchema.methods.generateRefreshToken = function () {
+userSchema.methods.generateRefreshToken = function (sessionId) {
   return jwt.sign(
     {
       _id: this._id,
+      sid: sessionId,
+      jti: crypto.randomUUID() // rotated tokens never repeat, even within a second
     },
     process.env.REFRESH_TOKEN_SECRET,
     {
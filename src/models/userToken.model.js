@@ -0,0 +1,31 @@
+import mongoose, {Schema} from "mongoose";
+import { TOKEN_PURPOSES } from "../constants.js";
+
+// Single-use tokens mailed to a user. Only the sha256 of the token is stored;
+// the TTL index removes tokens that were never used.
+const userTokenSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    purpose: {
+        type: String,
+        enum: Object.values(TOKEN_PURPOSES),
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+        expires: 0
+    }
+}, {timestamps: true})
+
+userTokenSchema.index({ user: 1, purpose: 1 })
+
+export const UserToken = mongoose.model("UserToken", userTokenSchema)
@@ -1,15 +1,21 @@
 import mongoose, {Schema} from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
+// Media fields are filled in by the processing job, so they are only
+// required once the video is ready
+const isReady = function () {
+    return this.status === "ready"
+}
+
 const videoSchema = new Schema(
     {
         videoFile: {
-            type: String, //cloudinary url
-            required: true
+            type: String, //storage url
+            required: isReady
         },
         thumbnail: {
-            type: String, //cloudinary url
-            required: true
+            type: String, //storage url
+            required: isReady
         },
         title: {
             type: String, 
@@ -21,19 +27,49 @@ const videoSchema = new Schema(
         },
         duration: {
             type: Number, 
-            required: true
+            required: isReady
         },
         views: {
             type: Number,
             default: 0
         },
+        likesCount: {
+            type: Number,
+            default: 0
+        },
+        dislikesCount: {
+            type: Number,
+            default: 0
+        },
         isPublished: {
             type: Boolean,
             default: true
         },
+        commentsEnabled: {
+            type: Boolean,
+            default: true
+        },
+        tags: [
+            {
+                type: String,
+                lowercase: true,
+                trim: true
+            }
+        ],
         owner: {
             type: Schema.Types.ObjectId,
             ref: "User"
+        },
+        ownerUsername: {
+            type: String //copy of owner.username so the text index can cover it
+        },
+        status: {
+            type: String,
+            enum: ["processing", "ready", "failed"],
+            default: "ready"
+        },
+        processingError: {
+            type: String
         }
 
     }, 
@@ -42,6 +78,35 @@ const videoSchema = new Schema(
     }
 )
 
+videoSchema.index(
+    {
+        title: "text",
+        tags: "text",
+        ownerUsername: "text",
+        description: "text"
+    },
+    {
+        name: "video_search",
+        weights: {
+            title: 10,
+            tags: 5,
+            ownerUsername: 3,
+            description: 1
+        }
+    }
+)
+
+// Newest published videos first: the home feed's candidate set
+videoSchema.index({ isPublished: 1, createdAt: -1 })
+
+videoSchema.pre("save", async function (next) {
+    if (this.isNew && this.owner && !this.ownerUsername) {
+        const owner = await mongoose.model("User").findById(this.owner).select("username")
+        this.ownerUsername = owner?.username
+    }
+    next()
+})
+
 videoSchema.plugin(mongooseAggregatePaginate)
 
 export const Video = mongoose.model("Video", videoSchema)
\ No newline at end of file
@@ -0,0 +1,29 @@
+import mongoose, {Schema} from "mongoose";
+import { VIEW_DEDUPE_WINDOW_SECONDS } from "../constants.js";
+
+// One document per viewer per video inside the dedupe window; the TTL index
+// expires it afterwards so the next play counts as a fresh view.
+const viewSchema = new Schema({
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video",
+        required: true
+    },
+    viewer: {
+        type: Schema.Types.ObjectId,
+        ref: "User"
+    },
+    viewerKey: {
+        type: String,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: VIEW_DEDUPE_WINDOW_SECONDS
+    }
+})
+
+viewSchema.index({ video: 1, viewerKey: 1 }, { unique: true })
+
+export const View = mongoose.model("View", viewSchema)
@@ -0,0 +1,23 @@
+import { createMemoryStore } from './memory.store.js'
+import { createMongoStore } from './mongo.store.js'
+
+const stores = {
+  memory: createMemoryStore,
+  mongo: createMongoStore
+}
+
+let store
+
+// Selected by RATE_LIMIT_STORE (memory | mongo), created on first use so config.js has run
+const getRateLimitStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory'
+    if (!stores[name]) {
+      throw new Error(`Unknown RATE_LIMIT_STORE "${name}"`)
+    }
+    store = stores[name]()
+  }
+  return store
+}
+
+export { getRateLimitStore }
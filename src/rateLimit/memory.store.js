@@ -0,0 +1,37 @@
+// Counters in this process only: fine for a single instance, but each
+// instance behind a load balancer would count on its own
+
+const SWEEP_INTERVAL_MS = 60 * 1000
+
+const createMemoryStore = () => {
+  const hits = new Map()
+
+  // drop finished windows so idle keys don't pile up
+  setInterval(() => {
+    const now = Date.now()
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key)
+    }
+  }, SWEEP_INTERVAL_MS).unref()
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+      const now = Date.now()
+      let entry = hits.get(key)
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs }
+        hits.set(key, entry)
+      }
+      entry.count += 1
+      return { count: entry.count, resetAt: new Date(entry.resetAt) }
+    },
+
+    async reset(key) {
+      hits.delete(key)
+    }
+  }
+}
+
+export { createMemoryStore }
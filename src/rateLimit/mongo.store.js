@@ -0,0 +1,39 @@
+import { RateLimit } from '../models/rateLimit.model.js'
+
+// Counters shared by every instance through MongoDB
+const createMongoStore = () => ({
+  name: 'mongo',
+
+  async increment(key, windowMs, retried = false) {
+    const now = new Date()
+
+    // one atomic update: start a new window when the old one is over,
+    // otherwise count the hit
+    const expired = { $or: [{ $eq: [{ $type: '$resetAt' }, 'missing'] }, { $lte: ['$resetAt', now] }] }
+    try {
+      const entry = await RateLimit.findOneAndUpdate(
+        { key },
+        [
+          {
+            $set: {
+              count: { $cond: [expired, 1, { $add: ['$count', 1] }] },
+              resetAt: { $cond: [expired, new Date(now.getTime() + windowMs), '$resetAt'] }
+            }
+          }
+        ],
+        { upsert: true, new: true }
+      )
+      return { count: entry.count, resetAt: entry.resetAt }
+    } catch (error) {
+      // two first hits raced on the unique key; the second one can just count
+      if (error?.code === 11000 && !retried) return this.increment(key, windowMs, true)
+      throw error
+    }
+  },
+
+  async reset(key) {
+    await RateLimit.deleteOne({ key })
+  }
+})
+
+export { createMongoStore }
@@ -0,0 +1,38 @@
+import { Router } from 'express';
+import {
+    listUsers,
+    updateUserRole,
+    deleteAnyVideo,
+    deleteAnyComment,
+    deleteAnyTweet,
+    deleteAnyPlaylist,
+} from "../controllers/admin.controller.js"
+import {verifyJWT, authorizeRoles} from "../middlewares/auth.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {
+    listUsersSchema,
+    updateUserRoleSchema,
+    contentIdSchema,
+} from "../validators/admin.validator.js"
+import { USER_ROLES } from "../constants.js"
+
+const router = Router();
+
+router.use(verifyJWT);
+
+// User management is admin only
+router.route("/users").get(authorizeRoles(USER_ROLES.ADMIN), validate(listUsersSchema), listUsers);
+router
+    .route("/users/:userId/role")
+    .patch(authorizeRoles(USER_ROLES.ADMIN), validate(updateUserRoleSchema), updateUserRole);
+
+// Content removal is open to moderators as well
+const canModerate = authorizeRoles(USER_ROLES.MODERATOR, USER_ROLES.ADMIN);
+const validateContentId = validate(contentIdSchema);
+
+router.route("/videos/:id").delete(canModerate, validateContentId, deleteAnyVideo);
+router.route("/comments/:id").delete(canModerate, validateContentId, deleteAnyComment);
+router.route("/tweets/:id").delete(canModerate, validateContentId, deleteAnyTweet);
+router.route("/playlists/:id").delete(canModerate, validateContentId, deleteAnyPlaylist);
+
+export default router
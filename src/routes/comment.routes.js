@@ -1,17 +1,81 @@
 import { Router } from 'express';
 import {
     addComment,
+    addReply,
+    addTweetComment,
     deleteComment,
+    getCommentReplies,
+    getTweetComments,
     getVideoComments,
+    toggleHeartComment,
+    toggleHideComment,
+    togglePinComment,
     updateComment,
 } from "../controllers/comment.controller.js"
 import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {isOwner, verifyOwnership} from "../middlewares/ownership.middleware.js"
+import {rateLimit} from "../middlewares/rateLimit.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {
+    videoCommentsSchema,
+    addVideoCommentSchema,
+    tweetCommentsSchema,
+    addTweetCommentSchema,
+    repliesSchema,
+    commentIdSchema,
+    commentContentSchema,
+} from "../validators/comment.validator.js"
+import { Comment } from "../models/comment.model.js"
+import { Video } from "../models/video.model.js"
+import { USER_ROLES } from "../constants.js"
 
 const router = Router();
 
 router.use(verifyJWT);
 
-router.route("/:videoId").get(getVideoComments).post(addComment);
-router.route("/c/:commentId").delete(deleteComment).patch(updateComment);
+// Video owners moderate the comments left on their videos
+const ownsCommentedVideo = async (comment, user) =>
+    Boolean(comment.video) &&
+    isOwner(await Video.findById(comment.video).select("owner"), user);
+
+const verifyCommentOwner = verifyOwnership(Comment, {
+    param: "commentId",
+    roles: [USER_ROLES.ADMIN],
+});
+const verifyCommentRemover = verifyOwnership(Comment, {
+    param: "commentId",
+    roles: [USER_ROLES.ADMIN],
+    allow: ownsCommentedVideo,
+});
+const verifyCommentModerator = verifyOwnership(Comment, {
+    param: "commentId",
+    roles: [USER_ROLES.ADMIN],
+    allow: ownsCommentedVideo,
+    ownerAccess: false,
+});
+
+const limitComments = rateLimit("comment");
+
+const validateCommentId = validate(commentIdSchema);
+
+router
+    .route("/:videoId")
+    .get(validate(videoCommentsSchema), getVideoComments)
+    .post(limitComments, validate(addVideoCommentSchema), addComment);
+router
+    .route("/t/:tweetId")
+    .get(validate(tweetCommentsSchema), getTweetComments)
+    .post(limitComments, validate(addTweetCommentSchema), addTweetComment);
+router
+    .route("/c/:commentId/replies")
+    .get(validate(repliesSchema), getCommentReplies)
+    .post(limitComments, validate(commentContentSchema), addReply);
+router
+    .route("/c/:commentId")
+    .delete(validateCommentId, verifyCommentRemover, deleteComment)
+    .patch(limitComments, validate(commentContentSchema), verifyCommentOwner, updateComment);
+router.route("/c/:commentId/pin").patch(validateCommentId, verifyCommentModerator, togglePinComment);
+router.route("/c/:commentId/heart").patch(validateCommentId, verifyCommentModerator, toggleHeartComment);
+router.route("/c/:commentId/hide").patch(validateCommentId, verifyCommentModerator, toggleHideComment);
 
 export default router
\ No newline at end of file
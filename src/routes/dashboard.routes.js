@@ -0,0 +1,17 @@
+import { Router } from 'express';
+import {
+    getChannelStats,
+    getChannelVideos,
+} from "../controllers/dashboard.controller.js"
+import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import { channelVideosSchema } from "../validators/dashboard.validator.js"
+
+const router = Router();
+
+router.use(verifyJWT);
+
+router.route("/stats").get(getChannelStats);
+router.route("/videos").get(validate(channelVideosSchema), getChannelVideos);
+
+export default router
@@ -0,0 +1,32 @@
+import fs from "fs"
+import { Router } from 'express';
+import swaggerUi from "swagger-ui-express"
+import { buildOpenApiDocument } from "../docs/openapi.js"
+import { API_PREFIX } from "./index.js"
+
+const router = Router();
+
+const pkg = JSON.parse(fs.readFileSync(new URL("../../package.json", import.meta.url), "utf8"))
+
+// built on first request, once every router has registered its routes
+let document
+const getDocument = () => {
+    document ??= buildOpenApiDocument({
+        title: "StreamVid API",
+        version: pkg.version,
+        description: "Responses use the ApiResponse envelope, failures the ApiError one."
+    })
+    return document
+}
+
+router.get("/openapi.json", (req, res) => {
+    res.status(200).json(getDocument())
+})
+
+router.use(
+    "/docs",
+    swaggerUi.serve,
+    swaggerUi.setup(null, { swaggerOptions: { url: `${API_PREFIX}/openapi.json` } })
+)
+
+export default router
@@ -0,0 +1,17 @@
+import { Router } from 'express';
+import {
+    getHomeFeedVideos,
+    getSubscriptionsFeed,
+} from "../controllers/feed.controller.js"
+import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import { homeFeedSchema, subscriptionsFeedSchema } from "../validators/feed.validator.js"
+
+const router = Router();
+
+router.use(verifyJWT);
+
+router.route("/home").get(validate(homeFeedSchema), getHomeFeedVideos);
+router.route("/subscriptions").get(validate(subscriptionsFeedSchema), getSubscriptionsFeed);
+
+export default router
@@ -0,0 +1,29 @@
+import userRouter from "./user.routes.js"
+import videoRouter from "./video.routes.js"
+import commentRouter from "./comment.routes.js"
+import likeRouter from "./like.routes.js"
+import playlistRouter from "./playlist.routes.js"
+import healthcheckRouter from "./healthcheck.routes.js"
+import tweetRouter from "./tweet.routes.js"
+import subscriptionRouter from "./subscription.routes.js"
+import dashboardRouter from "./dashboard.routes.js"
+import adminRouter from "./admin.routes.js"
+import feedRouter from "./feed.routes.js"
+
+export const API_PREFIX = "/api/v1"
+
+// Every API router by mount path under API_PREFIX; the OpenAPI document is
+// generated from this table, so a router mounted elsewhere goes undocumented
+export const apiRouters = {
+    "/users": userRouter,
+    "/videos": videoRouter,
+    "/tweets": tweetRouter,
+    "/subscriptions": subscriptionRouter,
+    "/comments": commentRouter,
+    "/likes": likeRouter,
+    "/playlist": playlistRouter,
+    "/healthcheck": healthcheckRouter,
+    "/dashboard": dashboardRouter,
+    "/admin": adminRouter,
+    "/feed": feedRouter
+}
@@ -1,18 +1,34 @@
 import { Router } from 'express';
 import {
+    getLikedComments,
+    getLikedTweets,
     getLikedVideos,
     toggleCommentLike,
     toggleVideoLike,
     toggleTweetLike,
 } from "../controllers/like.controller.js"
 import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {rateLimit} from "../middlewares/rateLimit.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {
+    reactVideoSchema,
+    reactCommentSchema,
+    reactTweetSchema,
+    likedListSchema,
+} from "../validators/like.validator.js"
 
 const router = Router();
 router.use(verifyJWT);
 
-router.route("/toggle/v/:videoId").post(toggleVideoLike);
-router.route("/toggle/c/:commentId").post(toggleCommentLike);
-router.route("/toggle/t/:tweetId").post(toggleTweetLike);
-router.route("/videos").get(getLikedVideos);
+const limitReactions = rateLimit("reaction");
+
+const validateLikedList = validate(likedListSchema);
+
+router.route("/toggle/v/:videoId").post(limitReactions, validate(reactVideoSchema), toggleVideoLike);
+router.route("/toggle/c/:commentId").post(limitReactions, validate(reactCommentSchema), toggleCommentLike);
+router.route("/toggle/t/:tweetId").post(limitReactions, validate(reactTweetSchema), toggleTweetLike);
+router.route("/videos").get(validateLikedList, getLikedVideos);
+router.route("/tweets").get(validateLikedList, getLikedTweets);
+router.route("/comments").get(validateLikedList, getLikedComments);
 
 export default router
\ No newline at end of file
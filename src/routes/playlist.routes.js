@@ -9,22 +9,42 @@ import {
     updatePlaylist,
 } from "../controllers/playlist.controller.js"
 import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {verifyOwnership} from "../middlewares/ownership.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {
+    createPlaylistSchema,
+    playlistIdSchema,
+    updatePlaylistSchema,
+    playlistVideoSchema,
+    userPlaylistsSchema,
+} from "../validators/playlist.validator.js"
+import { Playlist } from "../models/playlist.model.js"
+import { USER_ROLES } from "../constants.js"
 
 const router = Router();
 
 router.use(verifyJWT); 
 
-router.route("/").post(createPlaylist)
+const verifyPlaylistOwner = verifyOwnership(Playlist, {
+    param: "playlistId",
+    roles: [USER_ROLES.ADMIN],
+});
+
+router.route("/").post(validate(createPlaylistSchema), createPlaylist)
 
 router
     .route("/:playlistId")
-    .get(getPlaylistById)
-    .patch(updatePlaylist)
-    .delete(deletePlaylist);
+    .get(validate(playlistIdSchema), getPlaylistById)
+    .patch(validate(updatePlaylistSchema), verifyPlaylistOwner, updatePlaylist)
+    .delete(validate(playlistIdSchema), verifyPlaylistOwner, deletePlaylist);
 
-router.route("/add/:videoId/:playlistId").patch(addVideoToPlaylist);
-router.route("/remove/:videoId/:playlistId").patch(removeVideoFromPlaylist);
+router
+    .route("/add/:videoId/:playlistId")
+    .patch(validate(playlistVideoSchema), verifyPlaylistOwner, addVideoToPlaylist);
+router
+    .route("/remove/:videoId/:playlistId")
+    .patch(validate(playlistVideoSchema), verifyPlaylistOwner, removeVideoFromPlaylist);
 
-router.route("/user/:userId").get(getUserPlaylists);
+router.route("/user/:userId").get(validate(userPlaylistsSchema), getUserPlaylists);
 
 export default router
\ No newline at end of file
@@ -5,18 +5,20 @@ import {
     toggleSubscription,
 } from "../controllers/subscription.controller.js"
 import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import { channelIdSchema, subscriberIdSchema } from "../validators/subscription.validator.js"
 
 const router = Router();
 
 router.use(verifyJWT);
 
 // POST → Toggle subscription to a channel
-router.post("/c/:channelId/toggle", toggleSubscription);
+router.post("/c/:channelId/toggle", validate(channelIdSchema), toggleSubscription);
 
 // GET → Get all subscribers of a channel
-router.get("/c/:channelId/subscribers", getUserChannelSubscribers);
+router.get("/c/:channelId/subscribers", validate(channelIdSchema), getUserChannelSubscribers);
 
 // GET → Get all channels a subscriber follows
-router.get("/u/:subscriberId/channels", getSubscribedChannels);
+router.get("/u/:subscriberId/channels", validate(subscriberIdSchema), getSubscribedChannels);
 
 export default router
\ No newline at end of file
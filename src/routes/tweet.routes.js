@@ -6,12 +6,28 @@ import {
     updateTweet,
 } from "../controllers/tweet.controller.js"
 import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {verifyOwnership} from "../middlewares/ownership.middleware.js"
+import {rateLimit} from "../middlewares/rateLimit.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {
+    createTweetSchema,
+    userTweetsSchema,
+    updateTweetSchema,
+    tweetIdSchema,
+} from "../validators/tweet.validator.js"
+import { Tweet } from "../models/tweet.model.js"
 
 const router = Router();
 router.use(verifyJWT); 
 
-router.route("/").post(createTweet);
-router.route("/user/:userId").get(getUserTweets);
-router.route("/:tweetId").patch(updateTweet).delete(deleteTweet);
+const verifyTweetOwner = verifyOwnership(Tweet, { param: "tweetId" });
+const limitTweets = rateLimit("tweet");
+
+router.route("/").post(limitTweets, validate(createTweetSchema), createTweet);
+router.route("/user/:userId").get(validate(userTweetsSchema), getUserTweets);
+router
+    .route("/:tweetId")
+    .patch(limitTweets, validate(updateTweetSchema), verifyTweetOwner, updateTweet)
+    .delete(validate(tweetIdSchema), verifyTweetOwner, deleteTweet);
 
 export default router
\ No newline at end of file
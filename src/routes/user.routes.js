@@ -10,14 +10,42 @@ import {
   updateUserAvatar,
   updateUserCoverImage,
   getUserChannelProfile,
-  getWatchHistory
+  getWatchHistory,
+  removeVideoFromWatchHistory,
+  clearWatchHistory,
+  deleteAccount,
+  getMyActivity,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  getSessions,
+  revokeUserSession
 } from "../controllers/user.controller.js";
 import { upload } from "../middlewares/multer.middleware.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { rateLimit } from "../middlewares/rateLimit.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  changePasswordSchema,
+  updateAccountSchema,
+  deleteAccountSchema,
+  channelProfileSchema,
+  historyVideoSchema,
+  activitySchema,
+  verifyEmailSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  sessionSchema
+} from "../validators/user.validator.js";
 
 const router = Router()
 
 router.route("/register").post(
+  rateLimit("register"),
   upload.fields(
     [
       { 
@@ -30,13 +58,20 @@ router.route("/register").post(
       }
     ]
   ),
+  validate(registerSchema),
   registerUser
 )
 
 router.route('/login').post(
+  rateLimit("login"),
+  validate(loginSchema),
   loginUser
 )
 
+router.route("/verify-email").post(rateLimit("accountEmail"), validate(verifyEmailSchema), verifyEmail)
+router.route("/forgot-password").post(rateLimit("accountEmail"), validate(forgotPasswordSchema), forgotPassword)
+router.route("/reset-password").post(rateLimit("accountEmail"), validate(resetPasswordSchema), resetPassword)
+
 //secured routes
 
 router.route('/logout').post(
@@ -44,15 +79,21 @@ router.route('/logout').post(
   logoutUser
 )
 
-router.route("/refresh-token").post(refreshAccessToken)
-router.route("/change-password").post(verifyJWT, changeCurrentPassword)
+router.route("/refresh-token").post(rateLimit("refresh"), validate(refreshTokenSchema), refreshAccessToken)
+router.route("/verify-email/resend").post(verifyJWT, rateLimit("accountEmail"), resendVerificationEmail)
+router.route("/change-password").post(verifyJWT, validate(changePasswordSchema), changeCurrentPassword)
 router.route("/current-user").get(verifyJWT, getCurrentUser)
-router.route("/update-account").patch(verifyJWT, updateAccountDetails)
+router.route("/me").delete(verifyJWT, validate(deleteAccountSchema), deleteAccount)
+router.route("/me/activity").get(verifyJWT, validate(activitySchema), getMyActivity)
+router.route("/sessions").get(verifyJWT, getSessions)
+router.route("/sessions/:sessionId").delete(verifyJWT, validate(sessionSchema), revokeUserSession)
+router.route("/update-account").patch(verifyJWT, validate(updateAccountSchema), updateAccountDetails)
 
 router.route("/avatar").patch(verifyJWT, upload.single("avatar"), updateUserAvatar)
 router.route("/cover-image").patch(verifyJWT, upload.single("coverImage"), updateUserCoverImage)
 
-router.route("/c/:username").get(verifyJWT, getUserChannelProfile)
-router.route("/history").get(verifyJWT, getWatchHistory)
+router.route("/c/:username").get(verifyJWT, validate(channelProfileSchema), getUserChannelProfile)
+router.route("/history").get(verifyJWT, getWatchHistory).delete(verifyJWT, clearWatchHistory)
+router.route("/history/:videoId").delete(verifyJWT, validate(historyVideoSchema), removeVideoFromWatchHistory)
 
 export default router
\ No newline at end of file
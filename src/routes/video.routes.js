@@ -1,22 +1,82 @@
-import { Router } from 'express';
+import express, { Router } from 'express';
 import {
     deleteVideo,
     getAllVideos,
+    getTrendingVideos,
     getVideoById,
     publishAVideo,
     togglePublishStatus,
+    toggleCommentsEnabled,
     updateVideo,
+    getVideoStatus,
 } from "../controllers/video.controller.js"
-import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {
+    initiateUpload,
+    uploadChunk,
+    getUploadStatus,
+    completeUpload,
+    abortUpload,
+} from "../controllers/upload.controller.js"
+import {verifyJWT, requireVerifiedEmail} from "../middlewares/auth.middleware.js"
 import {upload} from "../middlewares/multer.middleware.js"
+import {verifyOwnership} from "../middlewares/ownership.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {
+    listVideosSchema,
+    trendingSchema,
+    publishVideoSchema,
+    videoIdSchema,
+    updateVideoSchema,
+    initiateUploadSchema,
+    uploadIdSchema,
+    uploadChunkSchema,
+    completeUploadSchema,
+} from "../validators/video.validator.js"
+import { Video } from "../models/video.model.js"
+import { UploadSession } from "../models/uploadSession.model.js"
+import { UPLOAD_CHUNK_SIZE } from "../constants.js"
 
 const router = Router();
 router.use(verifyJWT);
 
+const verifyVideoOwner = verifyOwnership(Video, { param: "videoId" });
+const verifyUploadOwner = verifyOwnership(UploadSession, {
+    param: "uploadId",
+    label: "Upload session",
+});
+
+const validateVideoId = validate(videoIdSchema);
+const validateUploadId = validate(uploadIdSchema);
+
+// Resumable uploads: initiate, PUT numbered chunks, check progress, complete
+router.route("/uploads").post(requireVerifiedEmail, validate(initiateUploadSchema), initiateUpload);
+router
+    .route("/uploads/:uploadId")
+    .get(validateUploadId, verifyUploadOwner, getUploadStatus)
+    .delete(validateUploadId, verifyUploadOwner, abortUpload);
+router
+    .route("/uploads/:uploadId/chunks/:index")
+    .put(
+        validate(uploadChunkSchema),
+        verifyUploadOwner,
+        express.raw({ type: "application/octet-stream", limit: UPLOAD_CHUNK_SIZE }),
+        uploadChunk
+    );
+router
+    .route("/uploads/:uploadId/complete")
+    .post(
+        validateUploadId,
+        verifyUploadOwner,
+        upload.single("thumbnail"),
+        validate(completeUploadSchema),
+        completeUpload
+    );
+
 router
     .route("/")
-    .get(getAllVideos)
+    .get(validate(listVideosSchema), getAllVideos)
     .post(
+        requireVerifiedEmail,
         upload.fields([
             {
                 name: "videoFile",
@@ -28,15 +88,27 @@ router
             },
             
         ]),
+        validate(publishVideoSchema),
         publishAVideo
     );
 
+router.route("/trending").get(validate(trendingSchema), getTrendingVideos);
+
 router
     .route("/:videoId")
-    .get(getVideoById)
-    .delete(deleteVideo)
-    .patch(upload.single("thumbnail"), updateVideo);
+    .get(validateVideoId, getVideoById)
+    .delete(validateVideoId, verifyVideoOwner, deleteVideo)
+    .patch(
+        validateVideoId,
+        verifyVideoOwner,
+        upload.single("thumbnail"),
+        validate(updateVideoSchema),
+        updateVideo
+    );
+
+router.route("/:videoId/status").get(validateVideoId, verifyVideoOwner, getVideoStatus);
 
-router.route("/toggle/publish/:videoId").patch(togglePublishStatus);
+router.route("/toggle/publish/:videoId").patch(validateVideoId, verifyVideoOwner, togglePublishStatus);
+router.route("/toggle/comments/:videoId").patch(validateVideoId, verifyVideoOwner, toggleCommentsEnabled);
 
 export default router
\ No newline at end of file
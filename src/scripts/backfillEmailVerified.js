@@ -0,0 +1,17 @@
+// One-off: treat accounts created before email verification as verified, so
+// their owners can keep publishing. Accounts created since store the flag.
+// Run with `npm run backfill:email-verified`.
+import '../../config.js'
+import mongoose from "mongoose";
+import connectDB from "../db/indexdb.js";
+import { User } from "../models/user.model.js";
+
+await connectDB()
+
+const result = await User.updateMany(
+    { isEmailVerified: { $exists: false } },
+    { $set: { isEmailVerified: true } }
+)
+
+console.log(`Marked ${result.modifiedCount} existing users as verified`)
+await mongoose.disconnect()
@@ -0,0 +1,53 @@
+// One-off: mark existing likes as "like" reactions and recount the like and
+// dislike counters on videos, comments and tweets. Run with
+// `npm run backfill:reactions`.
+import '../../config.js'
+import mongoose from "mongoose";
+import connectDB from "../db/indexdb.js";
+import { Like } from "../models/like.model.js";
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Tweet } from "../models/tweet.model.js";
+
+await connectDB()
+
+await Like.updateMany({ reaction: { $exists: false } }, { $set: { reaction: "like" } })
+
+// older toggles could race into duplicate likes; keep the first of each
+// before the one-reaction-per-user indexes are built
+for (const field of ["video", "comment", "tweet"]) {
+    const duplicates = await Like.aggregate([
+        { $match: { [field]: { $ne: null } } },
+        { $sort: { createdAt: 1 } },
+        { $group: { _id: { item: `$${field}`, likedBy: "$likedBy" }, ids: { $push: "$_id" } } },
+        { $match: { "ids.1": { $exists: true } } }
+    ])
+    const extraIds = duplicates.flatMap((group) => group.ids.slice(1))
+    if (extraIds.length) await Like.deleteMany({ _id: { $in: extraIds } })
+}
+await Like.createIndexes()
+
+for (const [field, Model] of [["video", Video], ["comment", Comment], ["tweet", Tweet]]) {
+    await Model.updateMany({}, { $set: { likesCount: 0, dislikesCount: 0 } })
+
+    const counts = await Like.aggregate([
+        { $match: { [field]: { $ne: null } } },
+        {
+            $group: {
+                _id: `$${field}`,
+                likesCount: { $sum: { $cond: [{ $eq: ["$reaction", "like"] }, 1, 0] } },
+                dislikesCount: { $sum: { $cond: [{ $eq: ["$reaction", "dislike"] }, 1, 0] } }
+            }
+        }
+    ])
+
+    if (counts.length) {
+        await Model.bulkWrite(counts.map(({ _id, likesCount, dislikesCount }) => ({
+            updateOne: { filter: { _id }, update: { $set: { likesCount, dislikesCount } } }
+        })))
+    }
+
+    console.log(`Recounted reactions on ${counts.length} ${Model.collection.name}`)
+}
+
+await mongoose.disconnect()
@@ -0,0 +1,23 @@
+// One-off: copy each owner's username onto their existing videos and build
+// the text index used by video search. Run with `npm run backfill:search`.
+import '../../config.js'
+import mongoose from "mongoose";
+import connectDB from "../db/indexdb.js";
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+
+await connectDB()
+
+await Video.createIndexes()
+
+let updated = 0
+for await (const user of User.find().select("username").cursor()) {
+    const result = await Video.updateMany(
+        { owner: user._id, ownerUsername: { $ne: user.username } },
+        { $set: { ownerUsername: user.username } }
+    )
+    updated += result.modifiedCount
+}
+
+console.log(`Backfilled ownerUsername on ${updated} videos`)
+await mongoose.disconnect()
@@ -0,0 +1,30 @@
+// Give an existing account the admin role. Only admins can change roles
+// through the API, so the first one is appointed here:
+// `npm run make-admin -- <username>`.
+import '../../config.js'
+import mongoose from "mongoose";
+import connectDB from "../db/indexdb.js";
+import { User } from "../models/user.model.js";
+import { USER_ROLES } from "../constants.js";
+
+const username = process.argv[2]?.toLowerCase()
+if (!username) {
+    console.error("Usage: npm run make-admin -- <username>")
+    process.exit(1)
+}
+
+await connectDB()
+
+const user = await User.findOneAndUpdate(
+    { username },
+    { $set: { role: USER_ROLES.ADMIN } },
+    { new: true }
+).select("username role")
+
+if (user) {
+    console.log(`${user.username} is now an admin`)
+} else {
+    console.error(`No user named ${username}`)
+    process.exitCode = 1
+}
+await mongoose.disconnect()
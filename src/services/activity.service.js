@@ -0,0 +1,88 @@
+import { Like } from "../models/like.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { Video } from "../models/video.model.js";
+import { afterCursor, nextCursorOf } from "../utils/cursor.js";
+
+// Each kind of activity: where it lives, whose it is and what to return
+const SOURCES = {
+  like: {
+    Model: Like,
+    match: (userId) => ({ likedBy: userId }),
+    project: { reaction: { $ifNull: ["$reaction", "like"] }, video: 1, comment: 1, tweet: 1 },
+  },
+  comment: {
+    Model: Comment,
+    match: (userId) => ({ owner: userId, isDeleted: { $ne: true } }),
+    project: { content: 1, video: 1, tweet: 1, parentComment: 1 },
+  },
+  tweet: {
+    Model: Tweet,
+    match: (userId) => ({ owner: userId }),
+    project: { content: 1 },
+  },
+  subscription: {
+    Model: Subscription,
+    match: (userId) => ({ subscriber: userId }),
+    project: { channel: 1 },
+  },
+  upload: {
+    Model: Video,
+    match: (userId) => ({ owner: userId }),
+    project: { video: "$_id", status: 1, isPublished: 1 },
+  },
+};
+
+export const ACTIVITY_TYPES = Object.keys(SOURCES);
+
+const sourceStages = (type, userId, after, limit) => [
+  { $match: { ...SOURCES[type].match(userId), ...after } },
+  { $sort: { createdAt: -1, _id: -1 } },
+  { $limit: limit },
+  { $project: { type: { $literal: type }, createdAt: 1, ...SOURCES[type].project } },
+];
+
+// Replace a referenced id with a few fields of the document, or drop it
+const populate = (field, from, fields) => [
+  {
+    $lookup: {
+      from,
+      localField: field,
+      foreignField: "_id",
+      as: field,
+      pipeline: [{ $project: fields }],
+    },
+  },
+  { $addFields: { [field]: { $first: `$${field}` } } },
+];
+
+/**
+ * The user's own likes, comments, tweets, subscriptions and uploads, newest
+ * first. Paginated by cursor like the subscriptions feed: pass the previous
+ * response's `nextCursor` as `before`. `types` narrows the kinds returned.
+ */
+const getUserActivity = async (userId, { before, limit = 20, types = ACTIVITY_TYPES } = {}) => {
+  const after = afterCursor(before);
+  const [first, ...rest] = types;
+
+  const items = await SOURCES[first].Model.aggregate([
+    ...sourceStages(first, userId, after, limit),
+    ...rest.map((type) => ({
+      $unionWith: {
+        coll: SOURCES[type].Model.collection.name,
+        pipeline: sourceStages(type, userId, after, limit),
+      },
+    })),
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $limit: limit },
+    ...populate("video", "videos", { title: 1, thumbnail: 1, duration: 1 }),
+    ...populate("comment", "comments", { content: 1, video: 1, tweet: 1 }),
+    ...populate("tweet", "tweets", { content: 1 }),
+    ...populate("channel", "users", { username: 1, fullName: 1, avatar: 1 }),
+  ]);
+
+  return { items, nextCursor: nextCursorOf(items, limit) };
+};
+
+export { getUserActivity };
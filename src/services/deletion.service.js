@@ -0,0 +1,182 @@
+import mongoose from "mongoose";
+import { User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Like } from "../models/like.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { View } from "../models/view.model.js";
+import { UserToken } from "../models/userToken.model.js";
+import { Session } from "../models/session.model.js";
+import { UploadSession } from "../models/uploadSession.model.js";
+import { deleteFile } from "../storage/index.js";
+import { releaseReactions } from "./reaction.service.js";
+import { removeChunks } from "./upload.service.js";
+
+/**
+ * Run `work(session)` in a transaction. Remote media urls the work returns
+ * are deleted only after the commit, so an aborted delete never loses files.
+ */
+const runDeletion = async (work) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let mediaUrls;
+  try {
+    mediaUrls = await work(session);
+    await session.commitTransaction();
+  } catch (err) {
+    await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+
+  // deleteFile logs and swallows its own failures
+  await Promise.all((mediaUrls || []).filter(Boolean).map((url) => deleteFile(url)));
+};
+
+const removeComments = async (commentIds, session) => {
+  if (!commentIds.length) return;
+  await Like.deleteMany({ comment: { $in: commentIds } }, { session });
+  await Comment.deleteMany({ _id: { $in: commentIds } }, { session });
+};
+
+/**
+ * Remove comments the way a thread expects: a comment with replies becomes a
+ * tombstone so the replies stay attached, a leaf is deleted outright, and a
+ * tombstoned parent goes too once its last reply is gone.
+ */
+const detachComments = async (commentIds, session) => {
+  for (const commentId of commentIds) {
+    // re-read each one, earlier removals may have changed its reply count
+    const comment = await Comment.findById(commentId).session(session);
+    if (!comment) continue;
+
+    await Like.deleteMany({ comment: comment._id }, { session });
+
+    if (comment.replyCount > 0) {
+      await Comment.updateOne(
+        { _id: comment._id },
+        { $set: { isDeleted: true, isPinned: false, likesCount: 0, dislikesCount: 0 }, $unset: { content: 1, owner: 1 } },
+        { session }
+      );
+      continue;
+    }
+
+    await Comment.deleteOne({ _id: comment._id }, { session });
+
+    let parentId = comment.parentComment;
+    while (parentId) {
+      const parent = await Comment.findByIdAndUpdate(
+        parentId,
+        { $inc: { replyCount: -1 } },
+        { new: true, session }
+      );
+      if (!parent || !parent.isDeleted || parent.replyCount > 0) break;
+
+      await Comment.deleteOne({ _id: parent._id }, { session });
+      parentId = parent.parentComment;
+    }
+  }
+};
+
+const removeTweets = async (tweetIds, session) => {
+  if (!tweetIds.length) return;
+  const commentIds = await Comment.distinct("_id", { tweet: { $in: tweetIds } }).session(session);
+
+  await removeComments(commentIds, session);
+  await Like.deleteMany({ tweet: { $in: tweetIds } }, { session });
+  await Tweet.deleteMany({ _id: { $in: tweetIds } }, { session });
+};
+
+// Deletes the videos and everything hanging off them; returns their media urls
+const removeVideos = async (videoIds, session) => {
+  if (!videoIds.length) return [];
+
+  const videos = await Video.find({ _id: { $in: videoIds } })
+    .select("videoFile thumbnail")
+    .session(session);
+  const commentIds = await Comment.distinct("_id", { video: { $in: videoIds } }).session(session);
+
+  await removeComments(commentIds, session);
+  await Like.deleteMany({ video: { $in: videoIds } }, { session });
+  await View.deleteMany({ video: { $in: videoIds } }, { session });
+  await Playlist.updateMany(
+    { videos: { $in: videoIds } },
+    { $pull: { videos: { $in: videoIds } } },
+    { session }
+  );
+  await User.updateMany(
+    { watchHistory: { $in: videoIds } },
+    { $pull: { watchHistory: { $in: videoIds } } },
+    { session }
+  );
+  await Video.deleteMany({ _id: { $in: videoIds } }, { session });
+
+  return videos.flatMap((video) => [video.videoFile, video.thumbnail]);
+};
+
+const deleteVideoCascade = (video) => runDeletion((session) => removeVideos([video._id], session));
+
+const deleteCommentCascade = (comment) =>
+  runDeletion(async (session) => {
+    await detachComments([comment._id], session);
+  });
+
+const deleteTweetCascade = (tweet) =>
+  runDeletion(async (session) => {
+    await removeTweets([tweet._id], session);
+  });
+
+const deletePlaylistCascade = (playlist) =>
+  runDeletion(async (session) => {
+    await Playlist.deleteOne({ _id: playlist._id }, { session });
+  });
+
+// Removes the account and everything it owns or left on other people's content
+const deleteUserAccount = (user) =>
+  runDeletion(async (session) => {
+    const userId = user._id;
+
+    const videoIds = await Video.distinct("_id", { owner: userId }).session(session);
+    const tweetIds = await Tweet.distinct("_id", { owner: userId }).session(session);
+
+    const mediaUrls = await removeVideos(videoIds, session);
+    await removeTweets(tweetIds, session);
+
+    // deepest first, so replies are gone before their parents are looked at
+    const comments = await Comment.find({ owner: userId })
+      .select("_id")
+      .sort({ depth: -1 })
+      .session(session);
+    await detachComments(comments.map((comment) => comment._id), session);
+
+    await releaseReactions(userId, session);
+    await Playlist.deleteMany({ owner: userId }, { session });
+    await Subscription.deleteMany(
+      { $or: [{ subscriber: userId }, { channel: userId }] },
+      { session }
+    );
+    await View.deleteMany({ viewer: userId }, { session });
+    await UserToken.deleteMany({ user: userId }, { session });
+    await Session.deleteMany({ user: userId }, { session });
+
+    // resumable uploads in progress, with the chunks already on disk
+    const uploadIds = await UploadSession.distinct("_id", { owner: userId }).session(session);
+    await UploadSession.deleteMany({ _id: { $in: uploadIds } }, { session });
+    await Promise.all(uploadIds.map((uploadId) => removeChunks(uploadId)));
+
+    await User.deleteOne({ _id: userId }, { session });
+
+    return [...mediaUrls, user.avatar, user.coverImage];
+  });
+
+export {
+  deleteVideoCascade,
+  deleteCommentCascade,
+  deleteTweetCascade,
+  deletePlaylistCascade,
+  deleteUserAccount,
+};
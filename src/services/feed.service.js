@@ -0,0 +1,166 @@
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { Like } from "../models/like.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { afterCursor, nextCursorOf } from "../utils/cursor.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Home feed score weights
+const WEIGHTS = {
+  subscribed: 3,
+  channelAffinity: 2,
+  tagMatch: 1,
+  popularity: 0.5,
+  freshness: 2,
+};
+const TOP_TAGS = 20;
+// Only this many of the newest unseen videos are scored for the home feed
+const HOME_CANDIDATES = 500;
+
+const ownerLookup = [
+  {
+    $lookup: {
+      from: "users",
+      localField: "owner",
+      foreignField: "_id",
+      as: "owner",
+      pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+    },
+  },
+  { $addFields: { owner: { $first: "$owner" } } },
+];
+
+const publishedVideo = { isPublished: true, status: { $nin: ["processing", "failed"] } };
+
+/**
+ * Latest videos and tweets from the channels the user follows, newest first.
+ * Paginated by cursor: pass the previous response's `nextCursor` as `before`,
+ * decoded by the cursor() rule.
+ */
+const getSubscriptionFeed = async (userId, { before, limit = 20 } = {}) => {
+  const channelIds = await Subscription.distinct("channel", { subscriber: userId });
+  if (!channelIds.length) return { items: [], nextCursor: null };
+
+  const after = afterCursor(before);
+
+  const items = await Video.aggregate([
+    { $match: { ...publishedVideo, owner: { $in: channelIds }, ...after } },
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $limit: limit },
+    { $project: { type: { $literal: "video" }, title: 1, description: 1, thumbnail: 1, duration: 1, views: 1, owner: 1, createdAt: 1 } },
+    {
+      $unionWith: {
+        coll: "tweets",
+        pipeline: [
+          { $match: { owner: { $in: channelIds }, ...after } },
+          { $sort: { createdAt: -1, _id: -1 } },
+          { $limit: limit },
+          { $project: { type: { $literal: "tweet" }, content: 1, owner: 1, createdAt: 1 } },
+        ],
+      },
+    },
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $limit: limit },
+    ...ownerLookup,
+  ]);
+
+  return { items, nextCursor: nextCursorOf(items, limit) };
+};
+
+// Channels and tags the user engaged with, weighted by how often
+const getInterests = async (userId) => {
+  const [user, likedVideoIds, subscribedIds] = await Promise.all([
+    User.findById(userId).select("watchHistory"),
+    Like.distinct("video", { likedBy: userId, video: { $ne: null }, reaction: { $ne: "dislike" } }),
+    Subscription.distinct("channel", { subscriber: userId }),
+  ]);
+
+  const watchedIds = user?.watchHistory || [];
+  const engaged = await Video.find({ _id: { $in: [...watchedIds, ...likedVideoIds] } }).select("owner tags");
+
+  const channelCounts = new Map();
+  const tagCounts = new Map();
+  for (const video of engaged) {
+    if (video.owner) {
+      const entry = channelCounts.get(video.owner.toString()) || { id: video.owner, count: 0 };
+      entry.count += 1;
+      channelCounts.set(video.owner.toString(), entry);
+    }
+    for (const tag of video.tags || []) tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+  }
+
+  const maxChannelCount = Math.max(1, ...[...channelCounts.values()].map((entry) => entry.count));
+  const channels = [...channelCounts.values()].map(({ id, count }) => ({
+    id,
+    weight: count / maxChannelCount,
+  }));
+  const tags = [...tagCounts]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_TAGS)
+    .map(([tag]) => tag);
+
+  return { watchedIds, subscribedIds, channels, tags };
+};
+
+/**
+ * Videos ranked for the user from their subscriptions, watch history and
+ * likes, blended with popularity and freshness. Users with no activity get
+ * the popularity/freshness ranking alone. Scoring is limited to the newest
+ * HOME_CANDIDATES videos so its cost does not grow with the catalogue.
+ */
+const getHomeFeed = async (userId, { page = 1, limit = 20 } = {}) => {
+  const { watchedIds, subscribedIds, channels, tags } = await getInterests(userId);
+  const personalized = Boolean(subscribedIds.length || channels.length || tags.length);
+  const now = new Date();
+
+  const videos = await Video.aggregate([
+    { $match: { ...publishedVideo, owner: { $ne: userId }, _id: { $nin: watchedIds } } },
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $limit: HOME_CANDIDATES },
+    {
+      $addFields: {
+        score: {
+          $add: [
+            { $cond: [{ $in: ["$owner", subscribedIds] }, WEIGHTS.subscribed, 0] },
+            {
+              $multiply: [
+                WEIGHTS.channelAffinity,
+                {
+                  $let: {
+                    vars: { index: { $indexOfArray: [channels.map((channel) => channel.id), "$owner"] } },
+                    in: {
+                      $cond: [
+                        { $gte: ["$$index", 0] },
+                        { $arrayElemAt: [channels.map((channel) => channel.weight), "$$index"] },
+                        0,
+                      ],
+                    },
+                  },
+                },
+              ],
+            },
+            { $multiply: [WEIGHTS.tagMatch, { $size: { $setIntersection: [{ $ifNull: ["$tags", []] }, { $literal: tags }] } }] },
+            { $multiply: [WEIGHTS.popularity, { $log10: { $add: [{ $ifNull: ["$views", 0] }, 1] } }] },
+            {
+              // halves after a week
+              $divide: [
+                WEIGHTS.freshness,
+                { $add: [1, { $divide: [{ $subtract: [now, "$createdAt"] }, 7 * DAY] }] },
+              ],
+            },
+          ],
+        },
+      },
+    },
+    { $sort: { score: -1, createdAt: -1, _id: 1 } },
+    { $skip: (page - 1) * limit },
+    { $limit: limit },
+    { $project: { ownerUsername: 0 } },
+    ...ownerLookup,
+  ]);
+
+  return { videos, page, limit, personalized };
+};
+
+export { getSubscriptionFeed, getHomeFeed };
@@ -0,0 +1,35 @@
+import { User } from "../models/user.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { LOGIN_LOCKOUT } from "../constants.js";
+
+// Refuse the attempt while the account is locked, with Retry-After set
+const assertNotLocked = (user, res) => {
+  const remainingMs = user.lockedUntil ? user.lockedUntil.getTime() - Date.now() : 0;
+  if (remainingMs <= 0) return;
+
+  const retryAfter = Math.ceil(remainingMs / 1000);
+  res.set("Retry-After", String(retryAfter));
+  throw new ApiError(429, `Too many failed logins, try again in ${retryAfter} seconds`);
+};
+
+// Count a wrong password; past the threshold each failure locks the account longer
+const recordFailedLogin = async (user) => {
+  const { failedLoginCount } = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginCount: 1 } },
+    { new: true, projection: { failedLoginCount: 1 } }
+  );
+
+  const over = failedLoginCount - LOGIN_LOCKOUT.threshold;
+  if (over < 0) return;
+
+  const lockMs = Math.min(LOGIN_LOCKOUT.baseMs * 2 ** over, LOGIN_LOCKOUT.maxMs);
+  await User.updateOne({ _id: user._id }, { $set: { lockedUntil: new Date(Date.now() + lockMs) } });
+};
+
+const clearFailedLogins = async (user) => {
+  if (!user.failedLoginCount && !user.lockedUntil) return;
+  await User.updateOne({ _id: user._id }, { $set: { failedLoginCount: 0 }, $unset: { lockedUntil: 1 } });
+};
+
+export { assertNotLocked, recordFailedLogin, clearFailedLogins };
@@ -0,0 +1,121 @@
+import mongoose from "mongoose";
+import { Like } from "../models/like.model.js";
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { ApiError } from "../utils/ApiError.js";
+
+export const REACTIONS = ["like", "dislike"];
+
+// Items that can be reacted to, keyed by the Like field pointing at them
+const TARGETS = { video: Video, comment: Comment, tweet: Tweet };
+
+// Counters stored on videos, comments and tweets, moved in the same
+// transaction as the Like documents they count
+const COUNTERS = { like: "likesCount", dislike: "dislikesCount" };
+
+/**
+ * Toggle `reaction` on an item for the user. Reacting again with the same
+ * reaction clears it, the other reaction switches it; the item's counters
+ * move in the same transaction as the Like document. Concurrent reactions
+ * to one item conflict on its counters, so the transaction is retried.
+ * Resolves to { reaction, likesCount, dislikesCount } after the change, or
+ * rejects with a 404 ApiError when the item no longer exists.
+ */
+const toggleReaction = async (target, itemId, userId, reaction = "like") => {
+  const Model = TARGETS[target];
+  const session = await mongoose.startSession();
+
+  let result;
+  try {
+    await session.withTransaction(async () => {
+      const existing = await Like.findOne({ [target]: itemId, likedBy: userId }).session(session);
+      const previous = existing ? existing.reaction || "like" : null;
+      const current = previous === reaction ? null : reaction;
+
+      const inc = {};
+      if (previous) inc[COUNTERS[previous]] = -1;
+      if (current) inc[COUNTERS[current]] = 1;
+
+      if (!current) {
+        await Like.deleteOne({ _id: existing._id }, { session });
+      } else if (existing) {
+        await Like.updateOne({ _id: existing._id }, { $set: { reaction: current } }, { session });
+      } else {
+        await Like.create([{ [target]: itemId, likedBy: userId, reaction: current }], { session });
+      }
+
+      const item = await Model.findByIdAndUpdate(
+        itemId,
+        { $inc: inc },
+        { new: true, session, projection: { likesCount: 1, dislikesCount: 1 } }
+      );
+      // deleted since the caller checked it exists; aborting drops the Like change too
+      if (!item) throw new ApiError(404, `${target[0].toUpperCase()}${target.slice(1)} not found`);
+
+      result = { reaction: current, likesCount: item.likesCount, dislikesCount: item.dislikesCount };
+    });
+  } finally {
+    session.endSession();
+  }
+
+  return result;
+};
+
+/**
+ * Aggregation stages adding `viewerReaction` ("like", "dislike" or null) to
+ * each document, where `field` is the Like field pointing at it.
+ */
+const viewerReactionStages = (field, viewerId) => [
+  {
+    $lookup: {
+      from: "likes",
+      localField: "_id",
+      foreignField: field,
+      as: "viewerReaction",
+      pipeline: [{ $match: { likedBy: viewerId ?? null } }, { $project: { reaction: 1 } }],
+    },
+  },
+  {
+    $addFields: {
+      viewerReaction: {
+        $cond: [
+          { $gt: [{ $size: "$viewerReaction" }, 0] },
+          { $ifNull: [{ $first: "$viewerReaction.reaction" }, "like"] },
+          null,
+        ],
+      },
+    },
+  },
+];
+
+const getViewerReaction = async (target, itemId, userId) => {
+  if (!userId) return null;
+  const like = await Like.findOne({ [target]: itemId, likedBy: userId }).select("reaction");
+  return like ? like.reaction || "like" : null;
+};
+
+/**
+ * Take back every reaction a user left, decrementing the counters of the
+ * items they were on. Used when the account is deleted.
+ */
+const releaseReactions = async (userId, session) => {
+  for (const [target, Model] of Object.entries(TARGETS)) {
+    const groups = await Like.aggregate([
+      { $match: { likedBy: userId, [target]: { $ne: null } } },
+      { $group: { _id: { $ifNull: ["$reaction", "like"] }, ids: { $push: `$${target}` } } },
+    ]).session(session);
+
+    for (const group of groups) {
+      await Model.updateMany(
+        { _id: { $in: group.ids } },
+        { $inc: { [COUNTERS[group._id]]: -1 } },
+        { session }
+      );
+    }
+  }
+
+  await Like.deleteMany({ likedBy: userId }, { session });
+};
+
+export { toggleReaction, viewerReactionStages, getViewerReaction, releaseReactions };
@@ -0,0 +1,211 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { ApiError } from "../utils/ApiError.js";
+
+const HOUR = 60 * 60 * 1000;
+
+// Duration buckets in seconds: [min, max)
+export const DURATION_BUCKETS = {
+  short: [0, 4 * 60],
+  medium: [4 * 60, 20 * 60],
+  long: [20 * 60, Infinity],
+};
+
+// Upload date presets, each counted back from now
+export const UPLOAD_DATE_PRESETS = {
+  hour: HOUR,
+  today: 24 * HOUR,
+  week: 7 * 24 * HOUR,
+  month: 30 * 24 * HOUR,
+  year: 365 * 24 * HOUR,
+};
+
+// Sort keys a client may ask for; anything else is rejected
+const SORTS = {
+  relevance: { score: -1, createdAt: -1 },
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  views: { views: -1, createdAt: -1 },
+  duration: { duration: -1, createdAt: -1 },
+};
+export const SEARCH_SORTS = Object.keys(SORTS);
+
+const parseDate = (value, name) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(400, `${name} must be a valid date`);
+  }
+  return date;
+};
+
+const resolveChannelId = async (channel) => {
+  if (!channel) return null;
+  if (isValidObjectId(channel)) return new mongoose.Types.ObjectId(channel);
+
+  const owner = await User.findOne({ username: channel.toLowerCase() }).select("_id");
+  if (!owner) throw new ApiError(404, "Channel not found");
+  return owner._id;
+};
+
+// Published and ready videos for everyone, plus everything the viewer owns
+const visibilityStage = (viewerId) => {
+  const publicVideos = { isPublished: true, status: { $nin: ["processing", "failed"] } };
+  return viewerId ? { $or: [publicVideos, { owner: viewerId }] } : publicVideos;
+};
+
+// Duration, upload date and top channel counts over the videos matching `baseMatch`
+const countFacets = async (baseMatch, now) => {
+  const durationCounts = Object.fromEntries(
+    Object.entries(DURATION_BUCKETS).map(([name, [min, max]]) => [
+      name,
+      {
+        $sum: {
+          $cond: [
+            max === Infinity
+              ? { $gte: ["$duration", min] }
+              : { $and: [{ $gte: ["$duration", min] }, { $lt: ["$duration", max] }] },
+            1,
+            0,
+          ],
+        },
+      },
+    ])
+  );
+  const uploadDateCounts = Object.fromEntries(
+    Object.entries(UPLOAD_DATE_PRESETS).map(([name, span]) => [
+      name,
+      { $sum: { $cond: [{ $gte: ["$createdAt", new Date(now - span)] }, 1, 0] } },
+    ])
+  );
+
+  const [result] = await Video.aggregate([
+    { $match: baseMatch },
+    {
+      $facet: {
+        duration: [{ $group: { _id: null, ...durationCounts } }, { $project: { _id: 0 } }],
+        uploadDate: [{ $group: { _id: null, ...uploadDateCounts } }, { $project: { _id: 0 } }],
+        channels: [
+          { $group: { _id: "$owner", username: { $first: "$ownerUsername" }, count: { $sum: 1 } } },
+          { $sort: { count: -1, username: 1 } },
+          { $limit: 10 },
+          { $project: { _id: 0, channelId: "$_id", username: 1, count: 1 } },
+        ],
+      },
+    },
+  ]);
+
+  const emptyCounts = (names) => Object.fromEntries(names.map((name) => [name, 0]));
+
+  return {
+    duration: result.duration[0] || emptyCounts(Object.keys(DURATION_BUCKETS)),
+    uploadDate: result.uploadDate[0] || emptyCounts(Object.keys(UPLOAD_DATE_PRESETS)),
+    channels: result.channels,
+  };
+};
+
+/**
+ * Search videos. All options are optional:
+ *  q            text searched across title, tags, channel name and description
+ *  duration     short | medium | long
+ *  uploadDate   hour | today | week | month | year
+ *  from, to     explicit upload date range
+ *  channel      owner id or username
+ *  sort         relevance | newest | oldest | views | duration
+ *  facets       also count results per filter; always on when q is given
+ *
+ * Facet counts are computed over the text match before the duration, date
+ * and channel filters, so clients can show what each filter would return.
+ * They group every matching video, so plain listings skip them unless asked;
+ * `facets` is null then.
+ */
+const searchVideos = async ({
+  q = "",
+  duration,
+  uploadDate,
+  from,
+  to,
+  channel,
+  sort,
+  facets = false,
+  page = 1,
+  limit = 10,
+  viewerId,
+}) => {
+  const text = q.trim();
+  const sortKey = sort || (text ? "relevance" : "newest");
+
+  if (!SORTS[sortKey] || (sortKey === "relevance" && !text)) {
+    throw new ApiError(400, `sort must be one of: ${Object.keys(SORTS).join(", ")} (relevance needs q)`);
+  }
+  if (duration && !DURATION_BUCKETS[duration]) {
+    throw new ApiError(400, `duration must be one of: ${Object.keys(DURATION_BUCKETS).join(", ")}`);
+  }
+  if (uploadDate && !UPLOAD_DATE_PRESETS[uploadDate]) {
+    throw new ApiError(400, `uploadDate must be one of: ${Object.keys(UPLOAD_DATE_PRESETS).join(", ")}`);
+  }
+
+  const now = Date.now();
+  const baseMatch = visibilityStage(viewerId);
+  if (text) baseMatch.$text = { $search: text };
+
+  const filters = {};
+  if (duration) {
+    const [min, max] = DURATION_BUCKETS[duration];
+    filters.duration = max === Infinity ? { $gte: min } : { $gte: min, $lt: max };
+  }
+
+  const createdAt = {};
+  if (uploadDate) createdAt.$gte = new Date(now - UPLOAD_DATE_PRESETS[uploadDate]);
+  const fromDate = parseDate(from, "from");
+  const toDate = parseDate(to, "to");
+  if (fromDate && (!createdAt.$gte || fromDate > createdAt.$gte)) createdAt.$gte = fromDate;
+  if (toDate) createdAt.$lte = toDate;
+  if (Object.keys(createdAt).length) filters.createdAt = createdAt;
+
+  const channelId = await resolveChannelId(channel);
+  if (channelId) filters.owner = channelId;
+
+  const match = { ...baseMatch, ...filters };
+  const [docs, totalDocs, facetCounts] = await Promise.all([
+    Video.aggregate([
+      { $match: match },
+      ...(text ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+      { $sort: SORTS[sortKey] },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      {
+        $lookup: {
+          from: "users",
+          localField: "owner",
+          foreignField: "_id",
+          as: "owner",
+          pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+        },
+      },
+      { $addFields: { owner: { $first: "$owner" } } },
+      { $project: { ownerUsername: 0 } },
+    ]),
+    Video.countDocuments(match),
+    text || facets ? countFacets(baseMatch, now) : null,
+  ]);
+
+  const totalPages = Math.ceil(totalDocs / limit) || 1;
+
+  return {
+    docs,
+    totalDocs,
+    limit,
+    page,
+    totalPages,
+    hasPrevPage: page > 1,
+    hasNextPage: page < totalPages,
+    prevPage: page > 1 ? page - 1 : null,
+    nextPage: page < totalPages ? page + 1 : null,
+    sort: sortKey,
+    facets: facetCounts,
+  };
+};
+
+export { searchVideos };
@@ -0,0 +1,115 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import { Session } from "../models/session.model.js";
+import { User } from "../models/user.model.js";
+import { ApiError } from "../utils/ApiError.js";
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Sign a new token pair for the session and remember the refresh token's hash
+const issueTokens = (user, sessionId) => {
+  const accessToken = user.generateAccessToken(sessionId);
+  const refreshToken = user.generateRefreshToken(sessionId);
+  const { exp } = jwt.decode(refreshToken);
+
+  return {
+    accessToken,
+    refreshToken,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(exp * 1000),
+  };
+};
+
+const clientInfo = (req) => ({
+  userAgent: req.get("user-agent") || "",
+  ip: req.ip,
+});
+
+// Start a session for a fresh login; resolves to { accessToken, refreshToken }
+const createSession = async (user, req) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const { accessToken, refreshToken, tokenHash, expiresAt } = issueTokens(user, sessionId);
+
+  await Session.create({
+    _id: sessionId,
+    user: user._id,
+    tokenHash,
+    expiresAt,
+    ...clientInfo(req),
+  });
+
+  return { accessToken, refreshToken };
+};
+
+// `user` limits the revoke to sessions of that user
+const revokeSession = (sessionId, reason, { user } = {}) =>
+  Session.updateOne(
+    { _id: sessionId, revokedAt: null, ...(user && { user }) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+// Sign the user out everywhere, or everywhere but `except`
+const revokeUserSessions = (userId, reason, { except } = {}) =>
+  Session.updateMany(
+    { user: userId, revokedAt: null, ...(except && { _id: { $ne: except } }) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+/**
+ * Exchange a refresh token for a new pair. The presented token must be the
+ * session's current one: an older token from the same family means it was
+ * copied, so the whole session is revoked and both holders have to log in.
+ */
+const rotateSession = async (token, req) => {
+  let decodedToken;
+  try {
+    decodedToken = jwt.verify(token, process.env.REFRESH_TOKEN_SECRET);
+  } catch (err) {
+    throw new ApiError(401, "Invalid or expired refresh token");
+  }
+
+  const session = await Session.findById(decodedToken.sid);
+  if (!session || session.revokedAt || !session.user.equals(decodedToken._id)) {
+    throw new ApiError(401, "Invalid refresh token");
+  }
+
+  const user = await User.findById(session.user).select("-password");
+  if (!user) {
+    throw new ApiError(401, "Invalid refresh token");
+  }
+
+  const { accessToken, refreshToken, tokenHash, expiresAt } = issueTokens(user, session._id);
+
+  // compare-and-swap, so two refreshes racing with one token can't both win
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: hashToken(token), revokedAt: null },
+    { $set: { tokenHash, expiresAt, lastUsedAt: new Date(), ...clientInfo(req) } }
+  );
+
+  if (!rotated) {
+    await revokeSession(session._id, "reuse");
+    throw new ApiError(401, "Refresh token reuse detected, please log in again");
+  }
+
+  return { accessToken, refreshToken };
+};
+
+// True while the session an access token was issued for is still active
+const isSessionActive = (sessionId) =>
+  Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+
+const listSessions = (userId) =>
+  Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select("userAgent ip createdAt lastUsedAt expiresAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+export {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  isSessionActive,
+  listSessions,
+};
@@ -0,0 +1,41 @@
+import crypto from "crypto";
+import { UserToken } from "../models/userToken.model.js";
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Create a token for `purpose`, replacing any the user still holds for it.
+ * Returns the raw token; only its hash is stored.
+ */
+const issueToken = async (userId, purpose, ttlMs) => {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await UserToken.deleteMany({ user: userId, purpose });
+  await UserToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return token;
+};
+
+/**
+ * Use up a token: resolves to the user id it was issued for, or null when it
+ * is unknown, expired or already used. Deleting on read makes it single-use
+ * even under concurrent requests.
+ */
+const consumeToken = async (token, purpose) => {
+  if (typeof token !== "string" || !token) return null;
+
+  const record = await UserToken.findOneAndDelete({
+    tokenHash: hashToken(token),
+    purpose,
+    expiresAt: { $gt: new Date() },
+  });
+
+  return record ? record.user : null;
+};
+
+export { issueToken, consumeToken };
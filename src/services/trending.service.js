@@ -0,0 +1,153 @@
+import { Video } from "../models/video.model.js";
+import { TrendingVideo } from "../models/trendingVideo.model.js";
+import { TRENDING_WINDOWS, TRENDING_SIZE } from "../constants.js";
+
+// Engagement weights and how fast a video's score decays with age
+const VIEW_WEIGHT = 1;
+const LIKE_WEIGHT = 3;
+const COMMENT_WEIGHT = 5;
+const GRAVITY = 1.5;
+
+/**
+ * score = (views + 3·likes + 5·comments) / (ageHours + 2)^1.5
+ * Likes and comments only count when made inside the window, so the ranking
+ * follows current activity rather than lifetime totals.
+ */
+const computeTrending = async (window) => {
+  const span = TRENDING_WINDOWS[window];
+  const now = new Date();
+  const since = new Date(now.getTime() - span);
+
+  const ranked = await Video.aggregate([
+    {
+      $match: {
+        isPublished: true,
+        status: { $nin: ["processing", "failed"] },
+        createdAt: { $gte: since },
+      },
+    },
+    {
+      $lookup: {
+        from: "likes",
+        localField: "_id",
+        foreignField: "video",
+        as: "likes",
+        pipeline: [
+          { $match: { createdAt: { $gte: since }, reaction: { $ne: "dislike" } } },
+          { $project: { _id: 1 } },
+        ],
+      },
+    },
+    {
+      $lookup: {
+        from: "comments",
+        localField: "_id",
+        foreignField: "video",
+        as: "comments",
+        // tombstoned and hidden comments are not engagement anyone can see
+        pipeline: [
+          { $match: { createdAt: { $gte: since }, isDeleted: { $ne: true }, isHidden: { $ne: true } } },
+          { $project: { _id: 1 } },
+        ],
+      },
+    },
+    {
+      $project: {
+        views: { $ifNull: ["$views", 0] },
+        likes: { $size: "$likes" },
+        comments: { $size: "$comments" },
+        ageHours: { $divide: [{ $subtract: [now, "$createdAt"] }, 60 * 60 * 1000] },
+      },
+    },
+    {
+      $addFields: {
+        score: {
+          $divide: [
+            {
+              $add: [
+                { $multiply: ["$views", VIEW_WEIGHT] },
+                { $multiply: ["$likes", LIKE_WEIGHT] },
+                { $multiply: ["$comments", COMMENT_WEIGHT] },
+              ],
+            },
+            { $pow: [{ $add: ["$ageHours", 2] }, GRAVITY] },
+          ],
+        },
+      },
+    },
+    { $sort: { score: -1, _id: 1 } },
+    { $limit: TRENDING_SIZE },
+  ]);
+
+  // write the new ranking before dropping the old one so readers never see a gap
+  await TrendingVideo.insertMany(
+    ranked.map((entry, index) => ({
+      window,
+      video: entry._id,
+      rank: index + 1,
+      score: entry.score,
+      views: entry.views,
+      likes: entry.likes,
+      comments: entry.comments,
+      computedAt: now,
+    }))
+  );
+  await TrendingVideo.deleteMany({ window, computedAt: { $lt: now } });
+
+  return ranked.length;
+};
+
+const refreshAllTrending = async () => {
+  for (const window of Object.keys(TRENDING_WINDOWS)) {
+    await computeTrending(window);
+  }
+};
+
+/**
+ * Page through the latest stored ranking of a window, which is empty until
+ * the first refresh has run. Requests never compute it themselves.
+ * Videos unpublished since the last refresh are skipped.
+ */
+const getTrending = async (window, { page = 1, limit = 20 } = {}) => {
+  const latest = await TrendingVideo.findOne({ window }).sort({ computedAt: -1 }).select("computedAt");
+  if (!latest) return { videos: [], window, page, limit, computedAt: null };
+
+  const videos = await TrendingVideo.aggregate([
+    { $match: { window, computedAt: latest.computedAt } },
+    { $sort: { rank: 1 } },
+    {
+      $lookup: {
+        from: "videos",
+        localField: "video",
+        foreignField: "_id",
+        as: "video",
+        pipeline: [
+          { $match: { isPublished: true } },
+          { $project: { ownerUsername: 0 } },
+          {
+            $lookup: {
+              from: "users",
+              localField: "owner",
+              foreignField: "_id",
+              as: "owner",
+              pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+            },
+          },
+          { $addFields: { owner: { $first: "$owner" } } },
+        ],
+      },
+    },
+    { $unwind: "$video" },
+    { $skip: (page - 1) * limit },
+    { $limit: limit },
+    {
+      $replaceRoot: {
+        newRoot: { $mergeObjects: ["$video", { rank: "$rank", trendingScore: "$score" }] },
+      },
+    },
+  ]);
+
+  return { videos, window, page, limit, computedAt: latest.computedAt };
+};
+
+export { computeTrending, refreshAllTrending, getTrending };
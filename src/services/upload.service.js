@@ -0,0 +1,114 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { pipeline } from "stream/promises";
+import { UploadSession } from "../models/uploadSession.model.js";
+
+// Outside public/, which express.static serves: upload ids are guessable ObjectIds
+const uploadsDir = () => path.resolve("var/uploads");
+
+const chunkDir = (uploadId) => path.join(uploadsDir(), "chunks", uploadId.toString());
+const chunkPath = (uploadId, index) => path.join(chunkDir(uploadId), `${index}.part`);
+
+const sha256 = (buffer) => crypto.createHash("sha256").update(buffer).digest("hex");
+
+// Only keep a plain extension from the client's file name
+const safeExtension = (fileName) => {
+  const ext = path.extname(path.basename(fileName || "")).toLowerCase();
+  return /^\.[a-z0-9]{1,8}$/.test(ext) ? ext : "";
+};
+
+// Expected byte length of a chunk: every chunk is full except possibly the last
+const expectedChunkSize = (session, index) => {
+  if (index < session.totalChunks - 1) return session.chunkSize;
+  return session.fileSize - session.chunkSize * (session.totalChunks - 1);
+};
+
+// Collapse sorted chunk indexes into inclusive [start, end] ranges
+const toRanges = (indexes) => {
+  const ranges = [];
+  for (const index of [...indexes].sort((a, b) => a - b)) {
+    const last = ranges[ranges.length - 1];
+    if (last && index === last[1] + 1) last[1] = index;
+    else if (!last || index > last[1]) ranges.push([index, index]);
+  }
+  return ranges;
+};
+
+const missingChunks = (session) => {
+  const received = new Set(session.receivedChunks);
+  const missing = [];
+  for (let index = 0; index < session.totalChunks; index++) {
+    if (!received.has(index)) missing.push(index);
+  }
+  return missing;
+};
+
+// Write to a temp name first so a dropped request never leaves a partial chunk
+const writeChunk = async (session, index, buffer) => {
+  const dir = chunkDir(session._id);
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const target = chunkPath(session._id, index);
+  const tmp = `${target}.${crypto.randomUUID()}.tmp`;
+  await fs.promises.writeFile(tmp, buffer);
+  await fs.promises.rename(tmp, target);
+};
+
+/**
+ * Concatenate all chunks into one file under var/uploads, hashing on the way.
+ * Resolves to { filePath, checksum }.
+ */
+const assembleChunks = async (session) => {
+  const filePath = path.join(uploadsDir(), `${session._id}${safeExtension(session.fileName)}`);
+  const hash = crypto.createHash("sha256");
+  const output = fs.createWriteStream(filePath);
+
+  try {
+    for (let index = 0; index < session.totalChunks; index++) {
+      const input = fs.createReadStream(chunkPath(session._id, index));
+      input.on("data", (data) => hash.update(data));
+      await pipeline(input, output, { end: false });
+    }
+  } finally {
+    await new Promise((resolve) => output.end(resolve));
+  }
+
+  return { filePath, checksum: hash.digest("hex") };
+};
+
+const removeChunks = async (uploadId) => {
+  await fs.promises.rm(chunkDir(uploadId), { recursive: true, force: true });
+};
+
+// Abort sessions past their expiry and free their chunk files
+const purgeExpiredUploads = async () => {
+  const expired = await UploadSession.find({
+    status: { $in: ["pending", "assembling"] },
+    expiresAt: { $lt: new Date() },
+  }).select("_id");
+
+  for (const session of expired) {
+    await removeChunks(session._id);
+  }
+
+  if (expired.length) {
+    await UploadSession.updateMany(
+      { _id: { $in: expired.map((session) => session._id) } },
+      { $set: { status: "aborted", receivedChunks: [] } }
+    );
+  }
+
+  return expired.length;
+};
+
+export {
+  sha256,
+  expectedChunkSize,
+  toRanges,
+  missingChunks,
+  writeChunk,
+  assembleChunks,
+  removeChunks,
+  purgeExpiredUploads,
+};
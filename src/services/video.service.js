@@ -0,0 +1,39 @@
+import { Video } from "../models/video.model.js";
+import { enqueue, VIDEO_PROCESSING_JOB } from "../jobs/index.js";
+
+/**
+ * Shared creation path for multipart publishing and chunked uploads: creates
+ * the Video in the `processing` state and queues the media work. The local
+ * files must stay in place until the job picks them up.
+ */
+const createVideo = async ({ owner, ownerUsername, title, description, tags = [], videoFilePath, thumbnailPath }) => {
+  const video = await Video.create({
+    title,
+    description,
+    tags,
+    owner,
+    ownerUsername,
+    status: "processing",
+  });
+
+  try {
+    await enqueue(VIDEO_PROCESSING_JOB, {
+      videoId: video._id,
+      videoFilePath,
+      thumbnailPath,
+    });
+  } catch (error) {
+    await Video.updateOne({ _id: video._id }, { $set: { status: "failed", processingError: "Could not queue processing" } });
+    throw error;
+  }
+
+  return video;
+};
+
+// Accept tags as an array or a comma separated string
+const parseTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : typeof tags === "string" ? tags.split(",") : [];
+  return [...new Set(list.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean))].slice(0, 20);
+};
+
+export { createVideo, parseTags };
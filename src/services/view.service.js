@@ -0,0 +1,81 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { View } from "../models/view.model.js";
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { WATCH_HISTORY_LIMIT } from "../constants.js";
+
+/**
+ * Identify who is watching: the logged-in user, otherwise a hash of IP and
+ * user agent.
+ */
+const getViewerKey = (req) => {
+  if (req.user?._id) return `user:${req.user._id}`;
+
+  const fingerprint = `${req.ip}|${req.get("user-agent") || ""}`;
+  return `anon:${crypto.createHash("sha256").update(fingerprint).digest("hex")}`;
+};
+
+/**
+ * Count a view unless this viewer already watched the video inside the
+ * dedupe window. Returns true when the view was counted.
+ */
+const recordView = async (videoId, req) => {
+  const viewerKey = getViewerKey(req);
+
+  const result = await View.updateOne(
+    { video: videoId, viewerKey },
+    { $setOnInsert: { viewer: req.user?._id, createdAt: new Date() } },
+    { upsert: true }
+  ).catch((error) => {
+    // concurrent upsert lost the race on the unique index: already counted
+    if (error?.code === 11000) return { upsertedCount: 0 };
+    throw error;
+  });
+
+  if (!result.upsertedCount) return false;
+
+  await Video.updateOne({ _id: videoId }, { $inc: { views: 1 } });
+  return true;
+};
+
+/**
+ * Move the video to the front of the user's watch history, dropping any
+ * earlier entry for it and trimming to WATCH_HISTORY_LIMIT.
+ */
+const addToWatchHistory = async (userId, videoId) => {
+  const id = new mongoose.Types.ObjectId(videoId);
+
+  await User.updateOne({ _id: userId }, [
+    {
+      $set: {
+        watchHistory: {
+          $slice: [
+            {
+              $concatArrays: [
+                [id],
+                {
+                  $filter: {
+                    input: { $ifNull: ["$watchHistory", []] },
+                    cond: { $ne: ["$$this", id] },
+                  },
+                },
+              ],
+            },
+            WATCH_HISTORY_LIMIT,
+          ],
+        },
+      },
+    },
+  ]);
+};
+
+const removeFromWatchHistory = async (userId, videoId) => {
+  await User.updateOne({ _id: userId }, { $pull: { watchHistory: videoId } });
+};
+
+const emptyWatchHistory = async (userId) => {
+  await User.updateOne({ _id: userId }, { $set: { watchHistory: [] } });
+};
+
+export { getViewerKey, recordView, addToWatchHistory, removeFromWatchHistory, emptyWatchHistory };
@@ -0,0 +1,81 @@
+import {v2 as cloudinary} from 'cloudinary'
+
+let configured = false
+
+const ensureConfigured = () => {
+  if(configured) return
+  cloudinary.config({ 
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME, 
+    api_key: process.env.CLOUDINARY_API_KEY, 
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+  })
+  configured = true
+}
+
+// Derive the public id and resource type back from a delivery url, e.g.
+// https://res.cloudinary.com/<cloud>/video/upload/v1712/folder/abc.mp4
+const parseCloudinaryUrl = (url) => {
+  const match = url?.match(/\/(image|video|raw)\/upload\/(.+)$/)
+  if(!match) return null
+
+  // drop any transformation segments up to and including the version
+  const segments = match[2].split('/')
+  const versionIndex = segments.findIndex((segment) => /^v\d+$/.test(segment))
+  const publicIdWithExt = segments.slice(versionIndex + 1).join('/')
+
+  return {
+    resourceType: match[1],
+    publicId: publicIdWithExt.replace(/\.[^./]+$/, '')
+  }
+}
+
+const cloudinaryStorage = {
+  name: 'cloudinary',
+
+  owns(url) {
+    return /^https?:\/\/res\.cloudinary\.com\//.test(url || '')
+  },
+
+  async upload(localFilePath, options = {}) {
+    ensureConfigured()
+    const response = await cloudinary.uploader.upload(localFilePath, {
+      resource_type: 'auto',
+      folder: options.folder
+    })
+
+    return {
+      url: response.secure_url,
+      publicId: response.public_id,
+      resourceType: response.resource_type,
+      duration: response.duration,
+      bytes: response.bytes
+    }
+  },
+
+  async delete(url) {
+    const asset = parseCloudinaryUrl(url)
+    if(!asset) return false
+
+    ensureConfigured()
+    const response = await cloudinary.uploader.destroy(asset.publicId, {
+      resource_type: asset.resourceType,
+      invalidate: true
+    })
+    return response?.result === 'ok'
+  },
+
+  async getSignedUrl(url, { expiresIn = 3600 } = {}) {
+    const asset = parseCloudinaryUrl(url)
+    if(!asset) return url
+
+    ensureConfigured()
+    return cloudinary.url(asset.publicId, {
+      resource_type: asset.resourceType,
+      secure: true,
+      sign_url: true,
+      expires_at: Math.floor(Date.now() / 1000) + expiresIn
+    })
+  }
+}
+
+export { cloudinaryStorage }
@@ -0,0 +1,64 @@
+import fs from 'fs'
+import { cloudinaryStorage } from './cloudinary.storage.js'
+import { localStorage } from './local.storage.js'
+import { logger } from '../utils/logger.js'
+
+const providers = {
+  [cloudinaryStorage.name]: cloudinaryStorage,
+  [localStorage.name]: localStorage
+}
+
+// Selected by STORAGE_PROVIDER (cloudinary | local), read lazily so config.js has run
+const getStorage = () => {
+  const name = process.env.STORAGE_PROVIDER || cloudinaryStorage.name
+  const provider = providers[name]
+  if(!provider){
+    throw new Error(`Unknown STORAGE_PROVIDER "${name}"`)
+  }
+  return provider
+}
+
+// Urls saved before a provider switch still belong to the provider that issued them
+const providerFor = (url) => Object.values(providers).find((provider) => provider.owns(url))
+
+const removeTempFile = async (localFilePath) => {
+  await fs.promises.unlink(localFilePath).catch((error) => {
+    if(error.code !== 'ENOENT') logger.warn('Failed to remove temp file', { err: error, path: localFilePath })
+  })
+}
+
+/**
+ * Upload a local temp file with the configured provider.
+ * Resolves to { url, publicId, resourceType, duration, bytes } or null on
+ * failure; the temp file is always cleaned up.
+ */
+const uploadFile = async (localFilePath, options = {}) => {
+  if(!localFilePath) return null
+  try {
+    return await getStorage().upload(localFilePath, options)
+  } catch (error) {
+    logger.error('Upload failed', { err: error, provider: process.env.STORAGE_PROVIDER, folder: options.folder })
+    return null
+  } finally {
+    await removeTempFile(localFilePath)
+  }
+}
+
+// Best effort: a failed remote delete is logged, never thrown
+const deleteFile = async (url) => {
+  const provider = providerFor(url)
+  if(!provider) return false
+  try {
+    return await provider.delete(url)
+  } catch (error) {
+    logger.error('Delete failed', { err: error, provider: provider.name, url })
+    return false
+  }
+}
+
+const getSignedUrl = async (url, options = {}) => {
+  const provider = providerFor(url)
+  return provider ? provider.getSignedUrl(url, options) : url
+}
+
+export { getStorage, uploadFile, deleteFile, getSignedUrl }
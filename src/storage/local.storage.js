@@ -0,0 +1,76 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+
+// Files live under public/ so express.static serves them as /uploads/...
+const PUBLIC_DIR = path.resolve('public')
+const UPLOAD_DIR = 'uploads'
+
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.m4v', '.webm', '.mkv', '.avi']
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.avif', '.heic']
+
+const baseUrl = () => (process.env.STORAGE_PUBLIC_URL || '').replace(/\/$/, '')
+
+const resourceTypeOf = (ext) => {
+  if(VIDEO_EXTENSIONS.includes(ext)) return 'video'
+  if(IMAGE_EXTENSIONS.includes(ext)) return 'image'
+  return 'raw'
+}
+
+// Map a url we issued back to a path, refusing anything outside public/uploads
+const resolveKey = (url) => {
+  const prefix = `${baseUrl()}/${UPLOAD_DIR}/`
+  if(!url?.startsWith(prefix)) return null
+
+  const key = path.posix.normalize(`${UPLOAD_DIR}/${url.slice(prefix.length).split('?')[0]}`)
+  const filePath = path.resolve(PUBLIC_DIR, key)
+  if(!filePath.startsWith(path.join(PUBLIC_DIR, UPLOAD_DIR) + path.sep)) return null
+
+  return { key, filePath }
+}
+
+const localStorage = {
+  name: 'local',
+
+  owns(url) {
+    return Boolean(resolveKey(url))
+  },
+
+  async upload(localFilePath, options = {}) {
+    const ext = path.extname(localFilePath).toLowerCase()
+    const key = path.posix.join(UPLOAD_DIR, options.folder || '', `${crypto.randomUUID()}${ext}`)
+    const destination = path.join(PUBLIC_DIR, key)
+
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true })
+    await fs.promises.rename(localFilePath, destination)
+    const { size } = await fs.promises.stat(destination)
+
+    return {
+      url: `${baseUrl()}/${key}`,
+      publicId: key,
+      resourceType: resourceTypeOf(ext),
+      duration: undefined,
+      bytes: size
+    }
+  },
+
+  async delete(url) {
+    const resolved = resolveKey(url)
+    if(!resolved) return false
+
+    try {
+      await fs.promises.unlink(resolved.filePath)
+      return true
+    } catch (error) {
+      if(error.code === 'ENOENT') return false
+      throw error
+    }
+  },
+
+  // Everything under public/ is served openly, so the plain url is already usable
+  async getSignedUrl(url) {
+    return url
+  }
+}
+
+export { localStorage }
@@ -0,0 +1,32 @@
+import { Types } from 'mongoose'
+
+const OBJECT_ID = /^[a-f0-9]{24}$/i
+
+/**
+ * Keyset cursors for lists sorted by { createdAt: -1, _id: -1 }. The id
+ * breaks ties, so items sharing a timestamp are neither skipped nor repeated
+ * across pages. Clients treat the cursor as an opaque string.
+ */
+const encodeCursor = (item) =>
+  Buffer.from(`${item.createdAt.toISOString()}_${item._id}`).toString('base64url')
+
+// { createdAt, _id } from a cursor, or null when it is not one
+const decodeCursor = (cursor) => {
+  if(typeof cursor !== 'string') return null
+  const [time, id] = Buffer.from(cursor, 'base64url').toString().split('_')
+  const createdAt = new Date(time)
+  if(Number.isNaN(createdAt.getTime()) || !OBJECT_ID.test(id || '')) return null
+  return { createdAt, _id: new Types.ObjectId(id) }
+}
+
+// $match condition for the items after `before`, a decoded cursor
+const afterCursor = (before) =>
+  before
+    ? { $or: [{ createdAt: { $lt: before.createdAt } }, { createdAt: before.createdAt, _id: { $lt: before._id } }] }
+    : {}
+
+// The cursor of the next page, or null when this one was not full
+const nextCursorOf = (items, limit) =>
+  items.length === limit ? encodeCursor(items[items.length - 1]) : null
+
+export { encodeCursor, decodeCursor, afterCursor, nextCursorOf }
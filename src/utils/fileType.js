@@ -0,0 +1,63 @@
+import fs from 'fs'
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  bytes.every((byte, index) => buffer[offset + index] === byte)
+
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end)
+
+// ISO-BMFF brands that carry still images rather than video
+const IMAGE_BRANDS = ['avif', 'avis', 'heic', 'heix', 'mif1', 'msf1']
+
+/**
+ * Identify a file from its leading bytes instead of trusting the client's
+ * name or mimetype. Resolves to { kind, mime, ext } or null when unknown.
+ */
+const sniffFileType = async (filePath) => {
+  const file = await fs.promises.open(filePath, 'r')
+  let buffer
+  try {
+    const result = await file.read(Buffer.alloc(64), 0, 64, 0)
+    buffer = result.buffer.subarray(0, result.bytesRead)
+  } finally {
+    await file.close()
+  }
+
+  if(startsWith(buffer, [0xff, 0xd8, 0xff])){
+    return { kind: 'image', mime: 'image/jpeg', ext: '.jpg' }
+  }
+  if(startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])){
+    return { kind: 'image', mime: 'image/png', ext: '.png' }
+  }
+  if(ascii(buffer, 0, 6) === 'GIF87a' || ascii(buffer, 0, 6) === 'GIF89a'){
+    return { kind: 'image', mime: 'image/gif', ext: '.gif' }
+  }
+  if(ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP'){
+    return { kind: 'image', mime: 'image/webp', ext: '.webp' }
+  }
+  if(ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'AVI '){
+    return { kind: 'video', mime: 'video/x-msvideo', ext: '.avi' }
+  }
+  if(startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])){
+    // Matroska; the doctype tells webm apart but both play as video
+    const isWebm = buffer.includes(Buffer.from('webm'))
+    return isWebm
+      ? { kind: 'video', mime: 'video/webm', ext: '.webm' }
+      : { kind: 'video', mime: 'video/x-matroska', ext: '.mkv' }
+  }
+  if(ascii(buffer, 4, 8) === 'ftyp'){
+    const brand = ascii(buffer, 8, 12)
+    if(IMAGE_BRANDS.includes(brand)){
+      return brand.startsWith('avi')
+        ? { kind: 'image', mime: 'image/avif', ext: '.avif' }
+        : { kind: 'image', mime: 'image/heic', ext: '.heic' }
+    }
+    if(brand === 'qt  '){
+      return { kind: 'video', mime: 'video/quicktime', ext: '.mov' }
+    }
+    return { kind: 'video', mime: 'video/mp4', ext: '.mp4' }
+  }
+
+  return null
+}
+
+export { sniffFileType }
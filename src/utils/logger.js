@@ -0,0 +1,102 @@
+import { AsyncLocalStorage } from 'async_hooks'
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity }
+
+// Values under these keys never reach the logs, whatever the nesting
+const SECRET_KEYS = /password|passwd|token|secret|authorization|cookie|api[-_]?key/i
+const SECRET_PARAMS = /([?&][^=&]*(?:password|token|secret)[^=&]*=)[^&#]*/gi
+const REDACTED = '[REDACTED]'
+
+const MAX_DEPTH = 6
+const MAX_STRING = 2000
+
+// Fields every log line inside the current request or job carries, e.g. requestId
+const context = new AsyncLocalStorage()
+
+// Read lazily so config.js has run; LOG_LEVEL = debug | info | warn | error | silent
+const threshold = () => LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.statusCode !== undefined && { statusCode: error.statusCode }),
+  ...(error.code !== undefined && { code: error.code }),
+  stack: error.stack
+})
+
+/**
+ * Copy of `value` that is safe to log: secrets replaced, errors, ids and
+ * documents turned into plain data, buffers summarised and long strings cut.
+ */
+const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if(value instanceof Error) return redact(serializeError(value), depth, seen)
+  if(Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`
+  if(typeof value === 'string') return value.length > MAX_STRING ? `${value.slice(0, MAX_STRING)}...` : value
+  if(typeof value === 'bigint') return value.toString()
+  if(value === null || typeof value !== 'object') return value
+
+  // dates, ObjectIds and mongoose documents know their own JSON form
+  if(typeof value.toJSON === 'function') return redact(value.toJSON(), depth, seen)
+
+  if(seen.has(value)) return '[Circular]'
+  if(depth >= MAX_DEPTH) return '[Truncated]'
+
+  seen.add(value)
+  try {
+    if(Array.isArray(value)) return value.map((item) => redact(item, depth + 1, seen))
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        SECRET_KEYS.test(key) && item ? REDACTED : redact(item, depth + 1, seen)
+      ])
+    )
+  } finally {
+    seen.delete(value)
+  }
+}
+
+// Strip secrets out of a url's query string, e.g. ?token=... from a mailed link
+const redactUrl = (url = '') => url.replace(SECRET_PARAMS, `$1${REDACTED}`)
+
+const write = (level, message, fields) => {
+  if(LEVELS[level] < threshold()) return
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...redact({ ...context.getStore(), ...fields })
+  }
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout
+  stream.write(`${JSON.stringify(entry)}\n`)
+}
+
+// An Error passed in place of the fields is logged as { err }
+const toFields = (fields) => (fields instanceof Error ? { err: fields } : fields)
+
+const createLogger = (bindings = {}) => {
+  const log = (level) => (message, fields) => write(level, message, { ...bindings, ...toFields(fields) })
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    child: (more) => createLogger({ ...bindings, ...more })
+  }
+}
+
+/**
+ * Structured JSON logger, one line per entry:
+ * logger.error("Upload failed", { err, folder }).
+ * warn and error go to stderr, the rest to stdout.
+ */
+const logger = createLogger()
+
+// Run `fn` with `fields` added to every line it logs, including from awaited work
+const withLogContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn)
+
+const getLogContext = () => context.getStore() || {}
+
+export { logger, withLogContext, getLogContext, redact, redactUrl }
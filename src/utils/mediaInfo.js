@@ -0,0 +1,66 @@
+import fs from 'fs'
+
+// Read an ISO-BMFF (mp4/mov/m4v) box header at `offset`
+const readBoxHeader = async (file, offset, fileSize) => {
+  const { buffer, bytesRead } = await file.read(Buffer.alloc(16), 0, 16, offset)
+  if(bytesRead < 8) return null
+
+  let size = buffer.readUInt32BE(0)
+  const type = buffer.toString('latin1', 4, 8)
+  let headerSize = 8
+
+  if(size === 1){
+    if(bytesRead < 16) return null
+    size = Number(buffer.readBigUInt64BE(8))
+    headerSize = 16
+  } else if(size === 0){
+    size = fileSize - offset
+  }
+
+  if(size < headerSize) return null
+  return { type, start: offset, headerSize, end: offset + size }
+}
+
+const findBox = async (file, start, end, type, fileSize) => {
+  let offset = start
+  while(offset + 8 <= end){
+    const box = await readBoxHeader(file, offset, fileSize)
+    if(!box) return null
+    if(box.type === type) return box
+    offset = box.end
+  }
+  return null
+}
+
+/**
+ * Duration in seconds of an mp4/mov file, read from moov/mvhd without
+ * loading the file. Resolves to null for other containers or broken files.
+ */
+const getVideoDuration = async (filePath) => {
+  let file
+  try {
+    file = await fs.promises.open(filePath, 'r')
+    const { size } = await file.stat()
+
+    const moov = await findBox(file, 0, size, 'moov', size)
+    if(!moov) return null
+
+    const mvhd = await findBox(file, moov.start + moov.headerSize, moov.end, 'mvhd', size)
+    if(!mvhd) return null
+
+    const { buffer } = await file.read(Buffer.alloc(32), 0, 32, mvhd.start + mvhd.headerSize)
+    const version = buffer.readUInt8(0)
+
+    const timescale = version === 1 ? buffer.readUInt32BE(20) : buffer.readUInt32BE(12)
+    const duration = version === 1 ? Number(buffer.readBigUInt64BE(24)) : buffer.readUInt32BE(16)
+
+    if(!timescale) return null
+    return Math.round((duration / timescale) * 100) / 100
+  } catch (error) {
+    return null
+  } finally {
+    await file?.close()
+  }
+}
+
+export { getVideoDuration }
@@ -0,0 +1,21 @@
+import { string, objectId, oneOf, pagination } from "./rules.js";
+import { USER_ROLES } from "../constants.js";
+
+const roles = Object.values(USER_ROLES);
+
+export const listUsersSchema = {
+  query: {
+    role: oneOf(roles).optional(),
+    q: string({ max: 100 }).optional(),
+    ...pagination({ limit: 20 }),
+  },
+};
+
+export const updateUserRoleSchema = {
+  params: { userId: objectId() },
+  body: { role: oneOf(roles) },
+};
+
+export const contentIdSchema = {
+  params: { id: objectId() },
+};
@@ -0,0 +1,41 @@
+import { string, objectId, oneOf, pagination } from "./rules.js";
+
+const listQuery = {
+  sort: oneOf(["newest", "oldest"]).default("newest"),
+  ...pagination(),
+};
+const content = { content: string({ max: 2000 }) };
+
+export const videoCommentsSchema = {
+  params: { videoId: objectId() },
+  query: listQuery,
+};
+
+export const addVideoCommentSchema = {
+  params: { videoId: objectId() },
+  body: content,
+};
+
+export const tweetCommentsSchema = {
+  params: { tweetId: objectId() },
+  query: listQuery,
+};
+
+export const addTweetCommentSchema = {
+  params: { tweetId: objectId() },
+  body: content,
+};
+
+export const repliesSchema = {
+  params: { commentId: objectId() },
+  query: pagination(),
+};
+
+export const commentIdSchema = {
+  params: { commentId: objectId() },
+};
+
+export const commentContentSchema = {
+  params: { commentId: objectId() },
+  body: content,
+};
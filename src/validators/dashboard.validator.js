@@ -0,0 +1,5 @@
+import { pagination } from "./rules.js";
+
+export const channelVideosSchema = {
+  query: pagination(),
+};
@@ -0,0 +1,12 @@
+import { int, cursor, pagination } from "./rules.js";
+
+export const homeFeedSchema = {
+  query: pagination({ limit: 20, maxLimit: 50 }),
+};
+
+export const subscriptionsFeedSchema = {
+  query: {
+    before: cursor().optional(),
+    limit: int({ min: 1, max: 50, clamp: true }).default(20),
+  },
+};
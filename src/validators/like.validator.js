@@ -0,0 +1,26 @@
+import { objectId, oneOf, pagination } from "./rules.js";
+import { REACTIONS } from "../services/reaction.service.js";
+
+const reactionBody = { reaction: oneOf(REACTIONS).default("like") };
+
+export const reactVideoSchema = {
+  params: { videoId: objectId() },
+  body: reactionBody,
+};
+
+export const reactCommentSchema = {
+  params: { commentId: objectId() },
+  body: reactionBody,
+};
+
+export const reactTweetSchema = {
+  params: { tweetId: objectId() },
+  body: reactionBody,
+};
+
+export const likedListSchema = {
+  query: {
+    sort: oneOf(["-createdAt", "createdAt"]).default("-createdAt"),
+    ...pagination({ limit: 20 }),
+  },
+};
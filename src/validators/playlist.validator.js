@@ -0,0 +1,30 @@
+import { string, objectId, oneOf, pagination } from "./rules.js";
+
+const name = () => string({ max: 100 });
+const description = () => string({ max: 1000 });
+
+export const createPlaylistSchema = {
+  body: { name: name(), description: description() },
+};
+
+export const playlistIdSchema = {
+  params: { playlistId: objectId() },
+};
+
+export const updatePlaylistSchema = {
+  params: { playlistId: objectId() },
+  body: { name: name().optional(), description: description().optional() },
+};
+
+export const playlistVideoSchema = {
+  params: { videoId: objectId(), playlistId: objectId() },
+};
+
+export const userPlaylistsSchema = {
+  params: { userId: objectId() },
+  query: {
+    q: string({ max: 100 }).optional(),
+    sortBy: oneOf(["newest", "oldest"]).default("newest"),
+    ...pagination(),
+  },
+};
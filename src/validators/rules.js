@@ -0,0 +1,129 @@
+import { isValidObjectId } from "mongoose";
+import { decodeCursor } from "../utils/cursor.js";
+
+// Message of a value that failed its rule, reported back to the client
+class RuleError extends Error {}
+
+// A rule turns one raw input value into a clean one, or throws a RuleError.
+// Fields are required unless marked .optional() or given a .default().
+// `spec` is the JSON schema of the accepted values, used by the API docs
+class Rule {
+  constructor(parse, spec = {}) {
+    this.parse = parse;
+    this.spec = spec;
+    this.required = true;
+    this.fallback = undefined;
+  }
+
+  optional() {
+    this.required = false;
+    return this;
+  }
+
+  default(value) {
+    this.required = false;
+    this.fallback = value;
+    return this;
+  }
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const string = ({ min = 1, max, trim = true, lowercase = false, pattern, patternMessage } = {}) =>
+  new Rule((value, name) => {
+    if (typeof value !== "string") throw new RuleError(`${name} must be a string`);
+    let text = trim ? value.trim() : value;
+    if (lowercase) text = text.toLowerCase();
+    if (text.length < min) throw new RuleError(min === 1 ? `${name} cannot be empty` : `${name} must be at least ${min} characters`);
+    if (max && text.length > max) throw new RuleError(`${name} must be at most ${max} characters`);
+    if (pattern && !pattern.test(text)) throw new RuleError(patternMessage || `${name} is not valid`);
+    return text;
+  }, { type: "string", minLength: min, maxLength: max, pattern: pattern?.source });
+
+const email = () =>
+  new Rule((value, name) => {
+    const text = string({ max: 254, lowercase: true }).parse(value, name);
+    if (!EMAIL_PATTERN.test(text)) throw new RuleError(`${name} must be a valid email address`);
+    return text;
+  }, { type: "string", format: "email", maxLength: 254 });
+
+const objectId = () =>
+  new Rule((value, name) => {
+    if (!isValidObjectId(value) || typeof value !== "string") throw new RuleError(`${name} must be a valid id`);
+    return value;
+  }, { type: "string", pattern: "^[a-fA-F0-9]{24}$" });
+
+// Whole numbers; `clamp` pulls out-of-range values into range instead of rejecting them
+const int = ({ min, max, clamp = false } = {}) =>
+  new Rule((value, name) => {
+    const number = typeof value === "number" ? value : Number(String(value).trim());
+    if (!Number.isInteger(number)) throw new RuleError(`${name} must be a whole number`);
+    if (min !== undefined && number < min) {
+      if (!clamp) throw new RuleError(`${name} must be at least ${min}`);
+      return min;
+    }
+    if (max !== undefined && number > max) {
+      if (!clamp) throw new RuleError(`${name} must be at most ${max}`);
+      return max;
+    }
+    return number;
+  }, { type: "integer", minimum: min, maximum: max });
+
+const oneOf = (values) =>
+  new Rule((value, name) => {
+    if (!values.includes(value)) throw new RuleError(`${name} must be one of: ${values.join(", ")}`);
+    return value;
+  }, { type: "string", enum: values });
+
+// Comma separated string or repeated query parameter, each entry from `values`
+const listOf = (values) =>
+  new Rule((value, name) => {
+    const entries = (Array.isArray(value) ? value : String(value).split(","))
+      .map((entry) => String(entry).trim())
+      .filter(Boolean);
+    const unknown = entries.filter((entry) => !values.includes(entry));
+    if (!entries.length || unknown.length) throw new RuleError(`${name} must be a comma separated list of: ${values.join(", ")}`);
+    return [...new Set(entries)];
+  }, { type: "array", items: { type: "string", enum: values } });
+
+const date = () =>
+  new Rule((value, name) => {
+    const parsed = new Date(value);
+    if (typeof value !== "string" || Number.isNaN(parsed.getTime())) throw new RuleError(`${name} must be a valid date`);
+    return parsed;
+  }, { type: "string", format: "date-time" });
+
+// A previous response's nextCursor, decoded to { createdAt, _id }
+const cursor = () =>
+  new Rule((value, name) => {
+    const decoded = decodeCursor(value);
+    if (!decoded) throw new RuleError(`${name} must be a cursor from a previous response`);
+    return decoded;
+  }, { type: "string" });
+
+const boolean = () =>
+  new Rule((value, name) => {
+    if (value === true || value === "true") return true;
+    if (value === false || value === "false") return false;
+    throw new RuleError(`${name} must be true or false`);
+  }, { type: "boolean" });
+
+// Tags arrive as an array or a comma separated string (multipart forms)
+const tags = () =>
+  new Rule((value, name) => {
+    if (typeof value !== "string" && !(Array.isArray(value) && value.every((tag) => typeof tag === "string"))) {
+      throw new RuleError(`${name} must be a list of strings`);
+    }
+    return value;
+  }, { type: "array", items: { type: "string" } });
+
+/**
+ * page and limit query parameters, coerced to integers and bounded:
+ * page >= 1, 1 <= limit <= maxLimit.
+ */
+const pagination = ({ limit = 10, maxLimit = 100 } = {}) => ({
+  page: int({ min: 1, clamp: true }).default(1),
+  limit: int({ min: 1, max: maxLimit, clamp: true }).default(limit),
+});
+
+export { Rule, RuleError, string, email, objectId, int, oneOf, listOf, date, cursor, boolean, tags, pagination };
@@ -0,0 +1,9 @@
+import { objectId } from "./rules.js";
+
+export const channelIdSchema = {
+  params: { channelId: objectId() },
+};
+
+export const subscriberIdSchema = {
+  params: { subscriberId: objectId() },
+};
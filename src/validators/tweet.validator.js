@@ -0,0 +1,24 @@
+import { string, objectId, oneOf, pagination } from "./rules.js";
+
+const content = { content: string({ max: 280 }) };
+
+export const createTweetSchema = {
+  body: content,
+};
+
+export const userTweetsSchema = {
+  params: { userId: objectId() },
+  query: {
+    sort: oneOf(["newest", "oldest"]).default("newest"),
+    ...pagination({ limit: 20 }),
+  },
+};
+
+export const updateTweetSchema = {
+  params: { tweetId: objectId() },
+  body: content,
+};
+
+export const tweetIdSchema = {
+  params: { tweetId: objectId() },
+};
@@ -0,0 +1,79 @@
+import { string, email, objectId, int, cursor, listOf } from "./rules.js";
+import { ACTIVITY_TYPES } from "../services/activity.service.js";
+
+const username = () =>
+  string({
+    min: 3,
+    max: 30,
+    lowercase: true,
+    pattern: /^[a-z0-9_.]+$/,
+    patternMessage: "username may only contain letters, numbers, dots and underscores",
+  });
+
+// passwords are taken as typed, surrounding spaces included
+const newPassword = () => string({ min: 8, max: 128, trim: false });
+const password = () => string({ trim: false });
+
+export const registerSchema = {
+  body: {
+    username: username(),
+    fullName: string({ max: 80 }),
+    email: email(),
+    password: newPassword(),
+  },
+};
+
+export const loginSchema = {
+  body: {
+    usernameOrEmail: string({ max: 254, lowercase: true }),
+    password: password(),
+  },
+};
+
+export const refreshTokenSchema = {
+  body: { refreshToken: string().optional() },
+};
+
+export const changePasswordSchema = {
+  body: { oldPassword: password(), newPassword: newPassword() },
+};
+
+export const updateAccountSchema = {
+  body: { fullName: string({ max: 80 }), email: email() },
+};
+
+export const deleteAccountSchema = {
+  body: { password: password() },
+};
+
+export const channelProfileSchema = {
+  params: { username: string({ lowercase: true }) },
+};
+
+export const historyVideoSchema = {
+  params: { videoId: objectId() },
+};
+
+export const activitySchema = {
+  query: {
+    before: cursor().optional(),
+    limit: int({ min: 1, max: 50, clamp: true }).default(20),
+    types: listOf(ACTIVITY_TYPES).default(ACTIVITY_TYPES),
+  },
+};
+
+export const verifyEmailSchema = {
+  body: { token: string({ max: 128 }) },
+};
+
+export const forgotPasswordSchema = {
+  body: { email: email() },
+};
+
+export const resetPasswordSchema = {
+  body: { token: string({ max: 128 }), newPassword: newPassword() },
+};
+
+export const sessionSchema = {
+  params: { sessionId: objectId() },
+};
@@ -0,0 +1,84 @@
+import { string, objectId, int, oneOf, date, boolean, tags, pagination } from "./rules.js";
+import { DURATION_BUCKETS, UPLOAD_DATE_PRESETS, SEARCH_SORTS } from "../services/search.service.js";
+import { MAX_VIDEO_UPLOAD_SIZE, TRENDING_WINDOWS } from "../constants.js";
+
+const title = () => string({ max: 100 });
+const description = () => string({ max: 5000 });
+
+const videoParams = { videoId: objectId() };
+const uploadParams = { uploadId: objectId() };
+
+export const listVideosSchema = {
+  query: {
+    q: string({ max: 200 }).optional(),
+    query: string({ max: 200 }).optional(),
+    duration: oneOf(Object.keys(DURATION_BUCKETS)).optional(),
+    uploadDate: oneOf(Object.keys(UPLOAD_DATE_PRESETS)).optional(),
+    from: date().optional(),
+    to: date().optional(),
+    channel: string({ max: 30 }).optional(),
+    userId: objectId().optional(),
+    sort: oneOf(SEARCH_SORTS).optional(),
+    facets: boolean().default(false),
+    // legacy sorting, mapped onto `sort`
+    sortBy: oneOf(["createdAt", "views", "duration"]).optional(),
+    sortType: oneOf(["asc", "desc"]).optional(),
+    ...pagination(),
+  },
+};
+
+export const trendingSchema = {
+  query: {
+    window: oneOf(Object.keys(TRENDING_WINDOWS)).default("24h"),
+    ...pagination({ limit: 20 }),
+  },
+};
+
+export const publishVideoSchema = {
+  body: { title: title(), description: description(), tags: tags().optional() },
+};
+
+export const videoIdSchema = {
+  params: videoParams,
+};
+
+export const updateVideoSchema = {
+  params: videoParams,
+  body: {
+    title: title().optional(),
+    description: description().optional(),
+    tags: tags().optional(),
+  },
+};
+
+export const initiateUploadSchema = {
+  body: {
+    fileName: string({ max: 255 }),
+    fileSize: int({ min: 1, max: MAX_VIDEO_UPLOAD_SIZE }),
+    mimeType: string({ pattern: /^video\//, patternMessage: "Only video files can be uploaded" }).optional(),
+    checksum: string({
+      pattern: /^[a-f0-9]{64}$/i,
+      patternMessage: "checksum must be the SHA-256 hex digest of the file",
+    }),
+    title: title(),
+    description: description(),
+    tags: tags().optional(),
+  },
+};
+
+export const uploadIdSchema = {
+  params: uploadParams,
+};
+
+export const uploadChunkSchema = {
+  params: { ...uploadParams, index: int({ min: 0 }) },
+};
+
+export const completeUploadSchema = {
+  params: uploadParams,
+  body: {
+    title: title().optional(),
+    description: description().optional(),
+    tags: tags().optional(),
+  },
+};
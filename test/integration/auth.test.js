@@ -0,0 +1,140 @@
+import assert from "node:assert/strict"
+import { test, before, after, beforeEach, startHarness, imageFile, textFile, PASSWORD } from "./harness.js"
+
+let harness
+
+before(async () => {
+    harness = await startHarness()
+})
+after(() => harness?.stop())
+beforeEach(() => harness.clearDatabase())
+
+const tokenFrom = (mail) => new URL(mail.text.match(/https?:\/\/\S+/)[0]).searchParams.get("token")
+
+test("register creates the account and emails a verification link", async () => {
+    const response = await harness.client().post("/users/register", {
+        form: {
+            username: "Alice",
+            fullName: "Alice",
+            email: "alice@example.com",
+            password: PASSWORD,
+            avatar: imageFile()
+        }
+    })
+
+    assert.equal(response.status, 201)
+    assert.equal(response.body.data.username, "alice")
+    assert.equal(response.body.data.password, undefined)
+    assert.equal(response.body.data.isEmailVerified, false)
+
+    const [mail] = await harness.readMails()
+    assert.equal(mail.to, "alice@example.com")
+    assert.ok(tokenFrom(mail))
+})
+
+test("register rejects invalid fields, missing avatars and taken usernames", async () => {
+    const client = harness.client()
+
+    const invalid = await client.post("/users/register", {
+        form: { username: "a", fullName: "A", email: "nope", password: "short", avatar: imageFile() }
+    })
+    assert.equal(invalid.status, 400)
+    assert.deepEqual(invalid.body.errors.map((error) => error.field).sort(), ["email", "password", "username"])
+
+    const noAvatar = await client.post("/users/register", {
+        form: { username: "bob", fullName: "Bob", email: "bob@example.com", password: PASSWORD }
+    })
+    assert.equal(noAvatar.status, 400)
+    assert.deepEqual(noAvatar.body.errors, [{ field: "avatar", location: "body", message: "avatar is required" }])
+
+    const notAnImage = await client.post("/users/register", {
+        form: { username: "bob", fullName: "Bob", email: "bob@example.com", password: PASSWORD, avatar: textFile() }
+    })
+    assert.equal(notAnImage.status, 415)
+
+    await harness.signUp({ username: "carol" })
+    const taken = await client.post("/users/register", {
+        form: { username: "carol", fullName: "Carol", email: "other@example.com", password: PASSWORD, avatar: imageFile() }
+    })
+    assert.equal(taken.status, 400)
+})
+
+test("login accepts username or email and rejects bad credentials", async () => {
+    await harness.signUp({ username: "dave" })
+    const client = harness.client()
+
+    const byEmail = await client.post("/users/login", { json: { usernameOrEmail: "dave@example.com", password: PASSWORD } })
+    assert.equal(byEmail.status, 200)
+    assert.ok(byEmail.body.data.accessToken)
+    assert.match(byEmail.headers.get("set-cookie"), /accessToken=/)
+
+    const wrongPassword = await client.post("/users/login", { json: { usernameOrEmail: "dave", password: "not-the-password" } })
+    assert.equal(wrongPassword.status, 401)
+
+    const unknown = await client.post("/users/login", { json: { usernameOrEmail: "nobody", password: PASSWORD } })
+    assert.equal(unknown.status, 401)
+})
+
+test("protected routes need a valid access token", async () => {
+    const anonymous = await harness.client().get("/users/current-user")
+    assert.equal(anonymous.status, 401)
+
+    const forged = await harness.client({ token: "not.a.jwt" }).get("/users/current-user")
+    assert.equal(forged.status, 401)
+
+    const { client, user } = await harness.signUp()
+    const me = await client.get("/users/current-user")
+    assert.equal(me.status, 200)
+    assert.equal(me.body.data._id, user._id)
+})
+
+test("refresh rotates the tokens and a reused refresh token revokes the session", async () => {
+    const { client, refreshToken } = await harness.signUp()
+
+    const rotated = await client.post("/users/refresh-token", { json: { refreshToken } })
+    assert.equal(rotated.status, 200)
+    assert.notEqual(rotated.body.data.refreshToken, refreshToken)
+
+    const reused = await client.post("/users/refresh-token", { json: { refreshToken } })
+    assert.equal(reused.status, 401)
+
+    // the thief's copy and the rightful one die together
+    const next = await client.post("/users/refresh-token", { json: { refreshToken: rotated.body.data.refreshToken } })
+    assert.equal(next.status, 401)
+})
+
+test("logout ends the session behind the access token", async () => {
+    const { client } = await harness.signUp()
+
+    assert.equal((await client.post("/users/logout")).status, 200)
+    assert.equal((await client.get("/users/current-user")).status, 401)
+})
+
+test("email verification and password reset work through the mailed tokens", async () => {
+    const { client, user } = await harness.signUp({ username: "erin", verified: false })
+    const [verification] = await harness.readMails()
+
+    const verified = await harness.client().post("/users/verify-email", { json: { token: tokenFrom(verification) } })
+    assert.equal(verified.status, 200)
+    assert.equal(verified.body.data.isEmailVerified, true)
+
+    const replayed = await harness.client().post("/users/verify-email", { json: { token: tokenFrom(verification) } })
+    assert.equal(replayed.status, 400)
+
+    const forgot = await harness.client().post("/users/forgot-password", { json: { email: user.email } })
+    assert.equal(forgot.status, 200)
+    const reset = (await harness.readMails()).find((mail) => mail.subject.includes("Reset"))
+
+    const newPassword = "an-entirely-new-password"
+    const changed = await harness.client().post("/users/reset-password", {
+        json: { token: tokenFrom(reset), newPassword }
+    })
+    assert.equal(changed.status, 200)
+
+    // existing sessions are signed out and only the new password works
+    assert.equal((await client.get("/users/current-user")).status, 401)
+    const oldLogin = await harness.client().post("/users/login", { json: { usernameOrEmail: "erin", password: PASSWORD } })
+    assert.equal(oldLogin.status, 401)
+    const newLogin = await harness.client().post("/users/login", { json: { usernameOrEmail: "erin", password: newPassword } })
+    assert.equal(newLogin.status, 200)
+})
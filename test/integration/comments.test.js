@@ -0,0 +1,135 @@
+import assert from "node:assert/strict"
+import { test, before, after, beforeEach, startHarness } from "./harness.js"
+
+let harness
+
+before(async () => {
+    harness = await startHarness()
+})
+after(() => harness?.stop())
+beforeEach(() => harness.clearDatabase())
+
+const comment = async (client, videoId, content = "Nice video") => {
+    const response = await client.post(`/comments/${videoId}`, { json: { content } })
+    assert.equal(response.status, 201)
+    return response.body.data
+}
+
+test("comments are listed newest first with the pinned one on top", async () => {
+    const owner = await harness.signUp()
+    const viewer = await harness.signUp()
+    const video = await harness.createVideo(owner.user)
+
+    const first = await comment(viewer.client, video._id, "first")
+    await comment(viewer.client, video._id, "second")
+    await comment(viewer.client, video._id, "third")
+
+    const pinned = await owner.client.patch(`/comments/c/${first._id}/pin`)
+    assert.equal(pinned.status, 200)
+    assert.equal(pinned.body.data.isPinned, true)
+
+    const listed = await viewer.client.get(`/comments/${video._id}`)
+    assert.equal(listed.status, 200)
+    assert.deepEqual(listed.body.data.comments.map((entry) => entry.content), ["first", "third", "second"])
+    assert.equal(listed.body.data.meta.total, 3)
+})
+
+test("commenting is refused when the owner turned comments off", async () => {
+    const owner = await harness.signUp()
+    const viewer = await harness.signUp()
+    const video = await harness.createVideo(owner.user)
+
+    const toggled = await owner.client.patch(`/videos/toggle/comments/${video._id}`)
+    assert.equal(toggled.body.data.commentsEnabled, false)
+
+    const refused = await viewer.client.post(`/comments/${video._id}`, { json: { content: "hello?" } })
+    assert.equal(refused.status, 403)
+})
+
+test("comment input and targets are checked", async () => {
+    const owner = await harness.signUp()
+    const video = await harness.createVideo(owner.user)
+
+    const empty = await owner.client.post(`/comments/${video._id}`, { json: { content: "   " } })
+    assert.equal(empty.status, 400)
+
+    const tooLong = await owner.client.post(`/comments/${video._id}`, { json: { content: "x".repeat(2001) } })
+    assert.equal(tooLong.status, 400)
+
+    const missingVideo = await owner.client.post("/comments/000000000000000000000000", { json: { content: "hi" } })
+    assert.equal(missingVideo.status, 404)
+
+    const anonymous = await harness.client().get(`/comments/${video._id}`)
+    assert.equal(anonymous.status, 401)
+})
+
+test("replies are threaded and a deleted parent with replies stays as a placeholder", async () => {
+    const owner = await harness.signUp()
+    const viewer = await harness.signUp()
+    const video = await harness.createVideo(owner.user)
+
+    const parent = await comment(viewer.client, video._id, "question")
+    const reply = await owner.client.post(`/comments/c/${parent._id}/replies`, { json: { content: "answer" } })
+    assert.equal(reply.status, 201)
+
+    const replies = await viewer.client.get(`/comments/c/${parent._id}/replies`)
+    assert.deepEqual(replies.body.data.comments.map((entry) => entry.content), ["answer"])
+
+    assert.equal((await viewer.client.delete(`/comments/c/${parent._id}`)).status, 200)
+
+    const [placeholder] = (await viewer.client.get(`/comments/${video._id}`)).body.data.comments
+    assert.equal(placeholder._id, parent._id)
+    assert.equal(placeholder.isDeleted, true)
+    assert.equal(placeholder.content, undefined)
+
+    // removing the last reply takes the placeholder with it
+    assert.equal((await owner.client.delete(`/comments/c/${reply.body.data._id}`)).status, 200)
+    assert.equal((await viewer.client.get(`/comments/${video._id}`)).body.data.meta.total, 0)
+})
+
+test("only the author edits a comment; the author, video owner or an admin may delete it", async () => {
+    const owner = await harness.signUp()
+    const author = await harness.signUp()
+    const stranger = await harness.signUp()
+    const admin = await harness.signUp({ role: "admin" })
+    const video = await harness.createVideo(owner.user)
+
+    const first = await comment(author.client, video._id, "original")
+
+    assert.equal((await stranger.client.patch(`/comments/c/${first._id}`, { json: { content: "hijacked" } })).status, 403)
+    assert.equal((await owner.client.patch(`/comments/c/${first._id}`, { json: { content: "edited by owner" } })).status, 403)
+
+    const edited = await author.client.patch(`/comments/c/${first._id}`, { json: { content: "edited" } })
+    assert.equal(edited.status, 200)
+    assert.equal(edited.body.data.content, "edited")
+
+    assert.equal((await stranger.client.delete(`/comments/c/${first._id}`)).status, 403)
+    assert.equal((await owner.client.delete(`/comments/c/${first._id}`)).status, 200)
+
+    const second = await comment(author.client, video._id, "again")
+    assert.equal((await admin.client.delete(`/comments/c/${second._id}`)).status, 200)
+    assert.equal((await admin.client.delete(`/comments/c/${second._id}`)).status, 404)
+})
+
+test("moderation is reserved for the video owner and hidden comments are only shown to their author", async () => {
+    const owner = await harness.signUp()
+    const author = await harness.signUp()
+    const other = await harness.signUp()
+    const video = await harness.createVideo(owner.user)
+
+    const spam = await comment(author.client, video._id, "buy now")
+
+    // authors can't pin, heart or hide their own comment
+    assert.equal((await author.client.patch(`/comments/c/${spam._id}/hide`)).status, 403)
+
+    const hidden = await owner.client.patch(`/comments/c/${spam._id}/hide`)
+    assert.equal(hidden.body.data.isHidden, true)
+
+    const seenBy = async (client) => (await client.get(`/comments/${video._id}`)).body.data.meta.total
+    assert.equal(await seenBy(other.client), 0)
+    assert.equal(await seenBy(author.client), 1)
+    assert.equal(await seenBy(owner.client), 1)
+
+    const pinHidden = await owner.client.patch(`/comments/c/${spam._id}/pin`)
+    assert.equal(pinHidden.status, 400)
+})
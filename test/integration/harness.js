@@ -0,0 +1,216 @@
+import fs from "fs"
+import os from "os"
+import path from "path"
+import mongoose from "mongoose"
+import * as nodeTest from "node:test"
+import { MongoMemoryReplSet } from "mongodb-memory-server"
+
+// Smallest valid PNG and the ftyp box of an mp4: enough for the upload sniffing
+const PNG = Buffer.from(
+    "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==",
+    "base64"
+)
+const MP4 = Buffer.concat([
+    Buffer.from([0x00, 0x00, 0x00, 0x18]),
+    Buffer.from("ftypisom", "latin1"),
+    Buffer.from([0x00, 0x00, 0x02, 0x00]),
+    Buffer.from("isomiso2mp41", "latin1")
+])
+
+export const imageFile = (name = "image.png") => new File([PNG], name, { type: "image/png" })
+export const videoFile = (name = "video.mp4") => new File([MP4], name, { type: "video/mp4" })
+export const textFile = (name = "notes.txt") => new File(["not media"], name, { type: "text/plain" })
+
+export const PASSWORD = "correct-horse-battery"
+
+// Opt-in only, so a run that cannot start mongod fails instead of passing empty
+const skipped = process.env.SKIP_INTEGRATION === "1" && "SKIP_INTEGRATION=1"
+
+/**
+ * node:test's test and hooks, except that with SKIP_INTEGRATION=1 every test
+ * is reported as skipped and the hooks never run.
+ */
+export const test = (name, fn) => nodeTest.test(name, { skip: skipped }, fn)
+const hook = (register) => (fn) => !skipped && register(fn)
+export const before = hook(nodeTest.before)
+export const after = hook(nodeTest.after)
+export const beforeEach = hook(nodeTest.beforeEach)
+
+const TEST_ENV = {
+    NODE_ENV: "test",
+    ACCESS_TOKEN_SECRET: "test-access-secret",
+    ACCESS_TOKEN_EXPIRY: "15m",
+    REFRESH_TOKEN_SECRET: "test-refresh-secret",
+    REFRESH_TOKEN_EXPIRY: "7d",
+    STORAGE_PROVIDER: "local",
+    STORAGE_PUBLIC_URL: "http://localhost:8000",
+    MAIL_TRANSPORT: "file",
+    RATE_LIMIT_STORE: "memory",
+    LOG_LEVEL: "silent",
+    CLIENT_URL: "http://localhost:3000",
+    // clients below send their own X-Forwarded-For, so per-IP limits are per client
+    TRUST_PROXY: "1"
+}
+
+let addressCount = 0
+const nextAddress = () => {
+    addressCount += 1
+    return `10.0.${Math.floor(addressCount / 250)}.${(addressCount % 250) + 1}`
+}
+
+const toFormData = (fields) => {
+    const form = new FormData()
+    for (const [name, value] of Object.entries(fields)) {
+        if (value !== undefined) form.append(name, value)
+    }
+    return form
+}
+
+/**
+ * HTTP client for the API. `json` and `form` (values may be File) build the
+ * body; responses resolve to { status, headers, body } with the JSON parsed.
+ */
+const createClient = (baseUrl, { token, ip = nextAddress() } = {}) => {
+    const send = async (method, url, { json, form, body, headers = {} } = {}) => {
+        const init = { method, headers: { "x-forwarded-for": ip, ...headers } }
+
+        if (token) init.headers.authorization = `Bearer ${token}`
+        if (json !== undefined) {
+            init.headers["content-type"] = "application/json"
+            init.body = JSON.stringify(json)
+        }
+        if (form) init.body = toFormData(form)
+        if (body) init.body = body
+
+        const response = await fetch(`${baseUrl}${url}`, init)
+        const text = await response.text()
+        return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null }
+    }
+
+    return {
+        ip,
+        get: (url, options) => send("GET", url, options),
+        post: (url, options) => send("POST", url, options),
+        put: (url, options) => send("PUT", url, options),
+        patch: (url, options) => send("PATCH", url, options),
+        delete: (url, options) => send("DELETE", url, options),
+        as: (accessToken) => createClient(baseUrl, { token: accessToken, ip })
+    }
+}
+
+/**
+ * Boot `app` against an in-memory replica set (transactions need one) with
+ * local storage and file mail under a temporary working directory. Call once
+ * per test file, in before(), and stop() it in after().
+ */
+export const startHarness = async () => {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "streamvid-test-"))
+    await fs.promises.mkdir(path.join(workDir, "public", "temp"), { recursive: true })
+    const mailDir = path.join(workDir, "mail")
+
+    // multer, local storage and express.static all resolve public/ from here
+    process.chdir(workDir)
+    Object.assign(process.env, TEST_ENV, { MAIL_FILE_DIR: mailDir })
+
+    const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: "wiredTiger" } })
+    const { DB_NAME } = await import("../../src/constants.js")
+    await mongoose.connect(replSet.getUri(), { dbName: DB_NAME })
+
+    const { app } = await import("../../src/app.js")
+    const { Video } = await import("../../src/models/video.model.js")
+    const { User } = await import("../../src/models/user.model.js")
+    const { claimNextJob, runJob } = await import("../../src/jobs/queue.js")
+    await import("../../src/jobs/index.js")
+
+    // unique and text indexes must exist before the tests lean on them, and
+    // collections must exist before a transaction writes to them
+    for (const Model of Object.values(mongoose.models)) {
+        await Model.createCollection()
+        await Model.init()
+    }
+
+    const server = app.listen(0)
+    const baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`
+
+    const client = (options) => createClient(baseUrl, options)
+
+    let userCount = 0
+
+    // Register and log in a fresh user; `role` and the verified email are set directly in the database
+    const signUp = async ({ role, verified = true, ...fields } = {}) => {
+        userCount += 1
+        const username = fields.username || `user${userCount}`
+        const anonymous = client()
+
+        const registered = await anonymous.post("/users/register", {
+            form: {
+                username,
+                fullName: `User ${userCount}`,
+                email: `${username}@example.com`,
+                password: PASSWORD,
+                avatar: imageFile("avatar.png"),
+                ...fields
+            }
+        })
+        if (registered.status !== 201) {
+            throw new Error(`register failed: ${JSON.stringify(registered.body)}`)
+        }
+
+        await User.updateOne(
+            { _id: registered.body.data._id },
+            { $set: { isEmailVerified: verified, ...(role && { role }) } }
+        )
+
+        const login = await anonymous.post("/users/login", {
+            json: { usernameOrEmail: username, password: fields.password || PASSWORD }
+        })
+        const { user, accessToken, refreshToken } = login.body.data
+
+        return { user, accessToken, refreshToken, client: anonymous.as(accessToken) }
+    }
+
+    // A processed, published video straight in the database
+    const createVideo = (owner, fields = {}) =>
+        Video.create({
+            title: "A video",
+            description: "About something",
+            videoFile: "http://localhost:8000/uploads/videos/test.mp4",
+            thumbnail: "http://localhost:8000/uploads/thumbnails/test.png",
+            duration: 42,
+            owner: owner._id,
+            ownerUsername: owner.username,
+            ...fields
+        })
+
+    // Run every queued background job, as the worker would
+    const drainJobs = async () => {
+        let job
+        while ((job = await claimNextJob())) {
+            await runJob(job)
+        }
+    }
+
+    // Mails written by the file transport, oldest first
+    const readMails = async () => {
+        const names = await fs.promises.readdir(mailDir).catch(() => [])
+        const mails = await Promise.all(
+            names.sort().map(async (name) => JSON.parse(await fs.promises.readFile(path.join(mailDir, name), "utf8")))
+        )
+        return mails
+    }
+
+    const clearDatabase = async () => {
+        await Promise.all(Object.values(mongoose.connection.collections).map((collection) => collection.deleteMany({})))
+        await fs.promises.rm(mailDir, { recursive: true, force: true })
+    }
+
+    const stop = async () => {
+        await new Promise((resolve) => server.close(resolve))
+        await mongoose.disconnect()
+        await replSet.stop()
+        process.chdir(os.tmpdir())
+        await fs.promises.rm(workDir, { recursive: true, force: true })
+    }
+
+    return { client, signUp, createVideo, drainJobs, readMails, clearDatabase, stop }
+}
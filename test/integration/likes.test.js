@@ -0,0 +1,113 @@
+import assert from "node:assert/strict"
+import { test, before, after, beforeEach, startHarness } from "./harness.js"
+import { Like } from "../../src/models/like.model.js"
+import { Video } from "../../src/models/video.model.js"
+
+let harness
+
+before(async () => {
+    harness = await startHarness()
+})
+after(() => harness?.stop())
+beforeEach(() => harness.clearDatabase())
+
+test("liking, switching to a dislike and taking it back keeps the counters in step", async () => {
+    const owner = await harness.signUp()
+    const viewer = await harness.signUp()
+    const video = await harness.createVideo(owner.user)
+    const react = (reaction) => viewer.client.post(`/likes/toggle/v/${video._id}`, { json: reaction && { reaction } })
+
+    const liked = await react()
+    assert.equal(liked.status, 200)
+    assert.deepEqual(
+        { liked: liked.body.data.liked, likes: liked.body.data.likesCount, dislikes: liked.body.data.dislikesCount },
+        { liked: true, likes: 1, dislikes: 0 }
+    )
+
+    const disliked = await react("dislike")
+    assert.equal(disliked.body.data.reaction, "dislike")
+    assert.equal(disliked.body.data.likesCount, 0)
+    assert.equal(disliked.body.data.dislikesCount, 1)
+
+    const cleared = await react("dislike")
+    assert.equal(cleared.body.data.reaction, null)
+    assert.equal(cleared.body.data.dislikesCount, 0)
+    assert.equal(await Like.countDocuments({ video: video._id }), 0)
+
+    await react("like")
+    const watched = await viewer.client.get(`/videos/${video._id}`)
+    assert.equal(watched.body.data.viewerReaction, "like")
+})
+
+test("concurrent likes from many users are all counted", async () => {
+    const owner = await harness.signUp()
+    const video = await harness.createVideo(owner.user)
+    const fans = await Promise.all(Array.from({ length: 8 }, () => harness.signUp()))
+
+    const responses = await Promise.all(fans.map(({ client }) => client.post(`/likes/toggle/v/${video._id}`)))
+    assert.ok(responses.every((response) => response.status === 200))
+
+    const stored = await Video.findById(video._id)
+    assert.equal(stored.likesCount, fans.length)
+    assert.equal(await Like.countDocuments({ video: video._id }), fans.length)
+})
+
+test("the same user reacting twice at once likes and then unlikes", async () => {
+    const owner = await harness.signUp()
+    const viewer = await harness.signUp()
+    const video = await harness.createVideo(owner.user)
+
+    const responses = await Promise.all([
+        viewer.client.post(`/likes/toggle/v/${video._id}`),
+        viewer.client.post(`/likes/toggle/v/${video._id}`)
+    ])
+
+    // the conflicting transaction is retried, so the toggles apply one after the other
+    assert.deepEqual(responses.map((response) => response.status), [200, 200])
+    const outcomes = responses.map((response) => [response.body.data.reaction, response.body.data.likesCount])
+    assert.deepEqual(outcomes.sort(), [[null, 0], ["like", 1]])
+
+    const stored = await Video.findById(video._id)
+    assert.equal(await Like.countDocuments({ video: video._id }), 0)
+    assert.equal(stored.likesCount, 0)
+})
+
+test("reactions are checked for a valid target and reaction", async () => {
+    const owner = await harness.signUp()
+    const video = await harness.createVideo(owner.user)
+
+    const unknown = await owner.client.post("/likes/toggle/v/000000000000000000000000")
+    assert.equal(unknown.status, 404)
+
+    const malformed = await owner.client.post("/likes/toggle/t/12345")
+    assert.equal(malformed.status, 400)
+
+    const badReaction = await owner.client.post(`/likes/toggle/v/${video._id}`, { json: { reaction: "love" } })
+    assert.equal(badReaction.status, 400)
+
+    const anonymous = await harness.client().post(`/likes/toggle/v/${video._id}`)
+    assert.equal(anonymous.status, 401)
+})
+
+test("comments and tweets can be liked and show up in the liked lists", async () => {
+    const owner = await harness.signUp()
+    const fan = await harness.signUp()
+    const video = await harness.createVideo(owner.user)
+
+    const comment = (await owner.client.post(`/comments/${video._id}`, { json: { content: "pinned soon" } })).body.data
+    const tweet = (await owner.client.post("/tweets", { json: { content: "new video out" } })).body.data
+
+    assert.equal((await fan.client.post(`/likes/toggle/c/${comment._id}`)).body.data.likesCount, 1)
+    assert.equal((await fan.client.post(`/likes/toggle/t/${tweet._id}`)).body.data.likesCount, 1)
+    await fan.client.post(`/likes/toggle/v/${video._id}`, { json: { reaction: "dislike" } })
+
+    const tweets = await fan.client.get("/likes/tweets")
+    assert.deepEqual(tweets.body.data.tweets.map((entry) => entry._id), [tweet._id])
+
+    const comments = await fan.client.get("/likes/comments")
+    assert.deepEqual(comments.body.data.comments.map((entry) => entry._id), [comment._id])
+
+    // dislikes are not listed
+    const videos = await fan.client.get("/likes/videos")
+    assert.deepEqual(videos.body.data.videos, [])
+})
@@ -0,0 +1,93 @@
+import assert from "node:assert/strict"
+import { test, before, after, beforeEach, startHarness } from "./harness.js"
+
+let harness
+
+before(async () => {
+    harness = await startHarness()
+})
+after(() => harness?.stop())
+beforeEach(() => harness.clearDatabase())
+
+const createPlaylist = async (client, name = "Favourites") => {
+    const response = await client.post("/playlist", { json: { name, description: "Good ones" } })
+    assert.equal(response.status, 201)
+    return response.body.data
+}
+
+test("an owner builds a playlist out of videos", async () => {
+    const owner = await harness.signUp()
+    const video = await harness.createVideo(owner.user)
+    const playlist = await createPlaylist(owner.client)
+
+    const added = await owner.client.patch(`/playlist/add/${video._id}/${playlist._id}`)
+    assert.equal(added.status, 200)
+    assert.deepEqual(added.body.data.videos.map((entry) => entry._id), [video._id.toString()])
+
+    // adding twice keeps a single entry
+    const again = await owner.client.patch(`/playlist/add/${video._id}/${playlist._id}`)
+    assert.equal(again.body.data.videos.length, 1)
+
+    const fetched = await owner.client.get(`/playlist/${playlist._id}`)
+    assert.equal(fetched.status, 200)
+    assert.equal(fetched.body.data.videos.length, 1)
+
+    const removed = await owner.client.patch(`/playlist/remove/${video._id}/${playlist._id}`)
+    assert.deepEqual(removed.body.data.videos, [])
+})
+
+test("playlists are listed per user with paging and a name filter", async () => {
+    const owner = await harness.signUp()
+    const viewer = await harness.signUp()
+    await createPlaylist(owner.client, "Cooking")
+    await createPlaylist(owner.client, "Music")
+    await createPlaylist(owner.client, "Cooking (old)")
+
+    const all = await viewer.client.get(`/playlist/user/${owner.user._id}?limit=2`)
+    assert.equal(all.status, 200)
+    assert.equal(all.body.data.meta.total, 3)
+    assert.equal(all.body.data.meta.pages, 2)
+    assert.equal(all.body.data.playlists.length, 2)
+
+    const filtered = await viewer.client.get(`/playlist/user/${owner.user._id}?q=cooking (`)
+    assert.deepEqual(filtered.body.data.playlists.map((entry) => entry.name), ["Cooking (old)"])
+})
+
+test("only the owner or an admin may change or delete a playlist", async () => {
+    const owner = await harness.signUp()
+    const other = await harness.signUp()
+    const admin = await harness.signUp({ role: "admin" })
+    const video = await harness.createVideo(other.user)
+    const playlist = await createPlaylist(owner.client)
+
+    assert.equal((await other.client.patch(`/playlist/${playlist._id}`, { json: { name: "Taken" } })).status, 403)
+    assert.equal((await other.client.patch(`/playlist/add/${video._id}/${playlist._id}`)).status, 403)
+    assert.equal((await other.client.delete(`/playlist/${playlist._id}`)).status, 403)
+
+    const renamed = await owner.client.patch(`/playlist/${playlist._id}`, { json: { name: "Renamed" } })
+    assert.equal(renamed.status, 200)
+    assert.equal(renamed.body.data.name, "Renamed")
+
+    assert.equal((await admin.client.delete(`/playlist/${playlist._id}`)).status, 200)
+    assert.equal((await owner.client.get(`/playlist/${playlist._id}`)).status, 404)
+})
+
+test("playlist input, videos and ids are checked", async () => {
+    const owner = await harness.signUp()
+    const playlist = await createPlaylist(owner.client)
+
+    const unnamed = await owner.client.post("/playlist", { json: { description: "no name" } })
+    assert.equal(unnamed.status, 400)
+
+    const nothingToUpdate = await owner.client.patch(`/playlist/${playlist._id}`, { json: {} })
+    assert.equal(nothingToUpdate.status, 400)
+
+    const missingVideo = await owner.client.patch(`/playlist/add/000000000000000000000000/${playlist._id}`)
+    assert.equal(missingVideo.status, 404)
+
+    const missingPlaylist = await owner.client.delete("/playlist/000000000000000000000000")
+    assert.equal(missingPlaylist.status, 404)
+
+    const malformed = await owner.client.get("/playlist/nope")
+    assert.equal(malformed.status, 400)
+})
@@ -0,0 +1,87 @@
+import assert from "node:assert/strict"
+import { test, before, after, beforeEach, startHarness } from "./harness.js"
+
+let harness
+
+before(async () => {
+    harness = await startHarness()
+})
+after(() => harness?.stop())
+beforeEach(() => harness.clearDatabase())
+
+test("toggling subscribes and then unsubscribes", async () => {
+    const channel = await harness.signUp()
+    const fan = await harness.signUp()
+
+    const subscribed = await fan.client.post(`/subscriptions/c/${channel.user._id}/toggle`)
+    assert.equal(subscribed.status, 201)
+
+    const subscribers = await channel.client.get(`/subscriptions/c/${channel.user._id}/subscribers`)
+    assert.deepEqual(subscribers.body.data.map((entry) => entry.subscriber._id), [fan.user._id])
+
+    const channels = await channel.client.get(`/subscriptions/u/${fan.user._id}/channels`)
+    assert.deepEqual(channels.body.data.map((entry) => entry.channel._id), [channel.user._id])
+
+    const profile = await fan.client.get(`/users/c/${channel.user.username}`)
+    assert.equal(profile.body.data.subscribersCount, 1)
+    assert.equal(profile.body.data.isSubscribed, true)
+
+    const unsubscribed = await fan.client.post(`/subscriptions/c/${channel.user._id}/toggle`)
+    assert.equal(unsubscribed.status, 200)
+
+    const after = await channel.client.get(`/subscriptions/c/${channel.user._id}/subscribers`)
+    assert.deepEqual(after.body.data, [])
+})
+
+test("the subscriptions feed mixes videos and tweets of subscribed channels", async () => {
+    const channel = await harness.signUp()
+    const stranger = await harness.signUp()
+    const fan = await harness.signUp()
+
+    const video = await harness.createVideo(channel.user)
+    await harness.createVideo(stranger.user)
+    await channel.client.post("/tweets", { json: { content: "out now" } })
+
+    const empty = await fan.client.get("/feed/subscriptions")
+    assert.deepEqual(empty.body.data.items, [])
+
+    await fan.client.post(`/subscriptions/c/${channel.user._id}/toggle`)
+
+    const feed = await fan.client.get("/feed/subscriptions")
+    assert.equal(feed.status, 200)
+    assert.deepEqual(feed.body.data.items.map((item) => item.type).sort(), ["tweet", "video"])
+    assert.equal(feed.body.data.items.find((item) => item.type === "video")._id, video._id.toString())
+})
+
+test("the subscriptions feed pages through items sharing a timestamp", async () => {
+    const channel = await harness.signUp()
+    const fan = await harness.signUp()
+    await fan.client.post(`/subscriptions/c/${channel.user._id}/toggle`)
+
+    const createdAt = new Date("2024-01-01T00:00:00Z")
+    const videos = await Promise.all([1, 2, 3].map(() => harness.createVideo(channel.user, { createdAt })))
+
+    const first = await fan.client.get("/feed/subscriptions?limit=2")
+    assert.equal(first.body.data.items.length, 2)
+
+    const second = await fan.client.get(`/feed/subscriptions?limit=2&before=${first.body.data.nextCursor}`)
+    assert.equal(second.body.data.nextCursor, null)
+
+    const seen = [...first.body.data.items, ...second.body.data.items].map((item) => item._id).sort()
+    assert.deepEqual(seen, videos.map((video) => video._id.toString()).sort())
+
+    const bogus = await fan.client.get("/feed/subscriptions?before=2024-01-01")
+    assert.equal(bogus.status, 400)
+})
+
+test("subscribing to yourself, unknown channels and malformed ids is refused", async () => {
+    const { client, user } = await harness.signUp()
+
+    assert.equal((await client.post(`/subscriptions/c/${user._id}/toggle`)).status, 400)
+    assert.equal((await client.post("/subscriptions/c/000000000000000000000000/toggle")).status, 404)
+    assert.equal((await client.post("/subscriptions/c/nope/toggle")).status, 400)
+    assert.equal((await client.get("/subscriptions/u/000000000000000000000000/channels")).status, 404)
+
+    const anonymous = await harness.client().post(`/subscriptions/c/${user._id}/toggle`)
+    assert.equal(anonymous.status, 401)
+})
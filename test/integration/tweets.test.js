@@ -0,0 +1,85 @@
+import assert from "node:assert/strict"
+import { test, before, after, beforeEach, startHarness } from "./harness.js"
+import { Comment } from "../../src/models/comment.model.js"
+import { Like } from "../../src/models/like.model.js"
+
+let harness
+
+before(async () => {
+    harness = await startHarness()
+})
+after(() => harness?.stop())
+beforeEach(() => harness.clearDatabase())
+
+const postTweet = async (client, content) => {
+    const response = await client.post("/tweets", { json: { content } })
+    assert.equal(response.status, 201)
+    return response.body.data
+}
+
+test("a user's tweets are paged newest first with comment counts and the viewer's reaction", async () => {
+    const author = await harness.signUp()
+    const reader = await harness.signUp()
+
+    const first = await postTweet(author.client, "first")
+    await postTweet(author.client, "second")
+    const third = await postTweet(author.client, "third")
+
+    await reader.client.post(`/comments/t/${first._id}`, { json: { content: "reply" } })
+    await reader.client.post(`/likes/toggle/t/${third._id}`)
+
+    const page = await reader.client.get(`/tweets/user/${author.user._id}?limit=2`)
+    assert.equal(page.status, 200)
+    assert.deepEqual(page.body.data.meta, { page: 1, limit: 2, total: 3, totalPages: 2 })
+    assert.deepEqual(page.body.data.tweets.map((tweet) => tweet.content), ["third", "second"])
+    assert.equal(page.body.data.tweets[0].viewerReaction, "like")
+
+    const oldest = await reader.client.get(`/tweets/user/${author.user._id}?sort=oldest&limit=1`)
+    assert.equal(oldest.body.data.tweets[0].content, "first")
+    assert.equal(oldest.body.data.tweets[0].commentsCount, 1)
+})
+
+test("tweet content is required and bounded", async () => {
+    const { client, user } = await harness.signUp()
+
+    assert.equal((await client.post("/tweets", { json: {} })).status, 400)
+    assert.equal((await client.post("/tweets", { json: { content: "x".repeat(281) } })).status, 400)
+    assert.equal((await client.get("/tweets/user/000000000000000000000000")).status, 404)
+    assert.equal((await client.get(`/tweets/user/${user._id}?sort=random`)).status, 400)
+})
+
+test("only the author edits or deletes a tweet, and deleting takes its likes and comments along", async () => {
+    const author = await harness.signUp()
+    const other = await harness.signUp()
+    const tweet = await postTweet(author.client, "draft")
+
+    await other.client.post(`/comments/t/${tweet._id}`, { json: { content: "hm" } })
+    await other.client.post(`/likes/toggle/t/${tweet._id}`)
+
+    assert.equal((await other.client.patch(`/tweets/${tweet._id}`, { json: { content: "mine" } })).status, 403)
+    assert.equal((await other.client.delete(`/tweets/${tweet._id}`)).status, 403)
+
+    const edited = await author.client.patch(`/tweets/${tweet._id}`, { json: { content: "final" } })
+    assert.equal(edited.status, 200)
+    assert.equal(edited.body.data.content, "final")
+
+    const deleted = await author.client.delete(`/tweets/${tweet._id}`)
+    assert.equal(deleted.status, 200)
+    assert.equal(await Comment.countDocuments({ tweet: tweet._id }), 0)
+    assert.equal(await Like.countDocuments({ tweet: tweet._id }), 0)
+
+    assert.equal((await author.client.delete(`/tweets/${tweet._id}`)).status, 404)
+})
+
+test("admins can remove any tweet through the admin routes, other users can't", async () => {
+    const author = await harness.signUp()
+    const user = await harness.signUp()
+    const admin = await harness.signUp({ role: "admin" })
+    const tweet = await postTweet(author.client, "against the rules")
+
+    assert.equal((await user.client.delete(`/admin/tweets/${tweet._id}`)).status, 403)
+    assert.equal((await admin.client.delete(`/admin/tweets/${tweet._id}`)).status, 200)
+
+    const left = await user.client.get(`/tweets/user/${author.user._id}`)
+    assert.equal(left.body.data.meta.total, 0)
+})
@@ -0,0 +1,145 @@
+import assert from "node:assert/strict"
+import { test, before, after, beforeEach, startHarness, imageFile, videoFile, textFile } from "./harness.js"
+
+let harness
+
+before(async () => {
+    harness = await startHarness()
+})
+after(() => harness?.stop())
+beforeEach(() => harness.clearDatabase())
+
+const ids = (docs) => docs.map((doc) => doc._id.toString()).sort()
+
+test("publishing queues processing and the video becomes ready once the job runs", async () => {
+    const { client } = await harness.signUp()
+
+    const published = await client.post("/videos", {
+        form: { title: "First upload", description: "Hello", tags: "Intro, intro,cats", videoFile: videoFile(), thumbnail: imageFile() }
+    })
+    assert.equal(published.status, 202)
+    assert.equal(published.body.data.status, "processing")
+    assert.deepEqual(published.body.data.tags, ["intro", "cats"])
+
+    const videoId = published.body.data._id
+    assert.equal((await client.get(`/videos/${videoId}/status`)).body.data.status, "processing")
+
+    await harness.drainJobs()
+
+    const status = await client.get(`/videos/${videoId}/status`)
+    assert.equal(status.body.data.status, "ready")
+
+    const video = await client.get(`/videos/${videoId}`)
+    assert.equal(video.status, 200)
+    assert.match(video.body.data.videoFile, /\/uploads\/videos\//)
+    assert.match(video.body.data.thumbnail, /\/uploads\/thumbnails\//)
+})
+
+test("publishing needs both files of the right kind", async () => {
+    const { client } = await harness.signUp()
+
+    const missing = await client.post("/videos", { form: { title: "No media", description: "x", thumbnail: imageFile() } })
+    assert.equal(missing.status, 400)
+
+    const wrongKind = await client.post("/videos", {
+        form: { title: "Text", description: "x", videoFile: textFile(), thumbnail: imageFile() }
+    })
+    assert.equal(wrongKind.status, 415)
+
+    const noTitle = await client.post("/videos", { form: { description: "x", videoFile: videoFile(), thumbnail: imageFile() } })
+    assert.equal(noTitle.status, 400)
+    assert.equal(noTitle.body.errors[0].field, "title")
+})
+
+test("publishing needs a verified email address", async () => {
+    const { client } = await harness.signUp({ verified: false })
+
+    const direct = await client.post("/videos", {
+        form: { title: "Too soon", description: "x", videoFile: videoFile(), thumbnail: imageFile() }
+    })
+    assert.equal(direct.status, 403)
+
+    const resumable = await client.post("/videos/uploads", {
+        json: { fileName: "clip.mp4", fileSize: 1024, checksum: "a".repeat(64) }
+    })
+    assert.equal(resumable.status, 403)
+})
+
+test("a processing video is only visible to its owner", async () => {
+    const owner = await harness.signUp()
+    const viewer = await harness.signUp()
+    const video = await harness.createVideo(owner.user, { status: "processing", videoFile: undefined, thumbnail: undefined, duration: undefined })
+
+    assert.equal((await owner.client.get(`/videos/${video._id}`)).status, 200)
+    assert.equal((await viewer.client.get(`/videos/${video._id}`)).status, 404)
+})
+
+test("viewing a video counts the view and records it in the watch history", async () => {
+    const owner = await harness.signUp()
+    const viewer = await harness.signUp()
+    const video = await harness.createVideo(owner.user)
+
+    const watched = await viewer.client.get(`/videos/${video._id}`)
+    assert.equal(watched.status, 200)
+    assert.equal(watched.body.data.views, 1)
+    assert.equal(watched.body.data.viewerReaction, null)
+
+    const history = await viewer.client.get("/users/history")
+    assert.deepEqual(history.body.data.map((entry) => entry._id), [video._id.toString()])
+})
+
+test("search returns published, ready videos plus the viewer's own", async () => {
+    const owner = await harness.signUp()
+    const other = await harness.signUp()
+
+    const visible = await harness.createVideo(owner.user, { title: "Cooking pasta" })
+    const unpublished = await harness.createVideo(owner.user, { title: "Cooking rice", isPublished: false })
+    const ownDraft = await harness.createVideo(other.user, { title: "Cooking soup", isPublished: false })
+
+    const forOther = await other.client.get("/videos?q=cooking")
+    assert.equal(forOther.status, 200)
+    assert.deepEqual(ids(forOther.body.data.docs), ids([visible, ownDraft]))
+
+    const forOwner = await owner.client.get("/videos?q=cooking")
+    assert.deepEqual(ids(forOwner.body.data.docs), ids([visible, unpublished]))
+    assert.equal(forOwner.body.data.facets.channels[0].count, 2)
+
+    const listing = await other.client.get("/videos?limit=1")
+    assert.equal(listing.body.data.totalDocs, 2)
+    assert.equal(listing.body.data.facets, null)
+
+    const withFacets = await other.client.get("/videos?facets=true")
+    assert.equal(withFacets.body.data.facets.duration.short, 2)
+
+    const badFilter = await owner.client.get("/videos?duration=forever")
+    assert.equal(badFilter.status, 400)
+})
+
+test("only the owner may update, unpublish or delete a video", async () => {
+    const owner = await harness.signUp()
+    const other = await harness.signUp()
+    const video = await harness.createVideo(owner.user)
+
+    const forbidden = await other.client.patch(`/videos/${video._id}`, { form: { title: "Mine now" } })
+    assert.equal(forbidden.status, 403)
+    assert.equal((await other.client.delete(`/videos/${video._id}`)).status, 403)
+    assert.equal((await other.client.patch(`/videos/toggle/publish/${video._id}`)).status, 403)
+
+    const updated = await owner.client.patch(`/videos/${video._id}`, { form: { title: "Renamed" } })
+    assert.equal(updated.status, 200)
+    assert.equal(updated.body.data.title, "Renamed")
+
+    const toggled = await owner.client.patch(`/videos/toggle/publish/${video._id}`)
+    assert.equal(toggled.body.data.isPublished, false)
+
+    assert.equal((await owner.client.delete(`/videos/${video._id}`)).status, 200)
+    assert.equal((await owner.client.get(`/videos/${video._id}`)).status, 404)
+})
+
+test("malformed and unknown video ids are told apart", async () => {
+    const { client } = await harness.signUp()
+
+    assert.equal((await client.get("/videos/not-an-id")).status, 400)
+    assert.equal((await client.get("/videos/000000000000000000000000")).status, 404)
+    assert.equal((await client.delete("/videos/000000000000000000000000")).status, 404)
+})
@@ -0,0 +1,105 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { app } from "../src/app.js"
+import { logger, withLogContext, redact, redactUrl } from "../src/utils/logger.js"
+
+// Log lines written while `fn` runs; anything else still reaches the terminal
+const captureLogs = async (t, fn) => {
+    const lines = []
+    for (const stream of [process.stdout, process.stderr]) {
+        const write = stream.write.bind(stream)
+        t.mock.method(stream, "write", (chunk, ...rest) => {
+            if (String(chunk).startsWith('{"time"')) return lines.push(JSON.parse(chunk))
+            return write(chunk, ...rest)
+        })
+    }
+    process.env.LOG_LEVEL = "debug"
+    try {
+        await fn()
+    } finally {
+        delete process.env.LOG_LEVEL
+    }
+    return lines
+}
+
+const listen = (t) => {
+    const server = app.listen(0)
+    t.after(() => server.close())
+    return `http://127.0.0.1:${server.address().port}/api/v1`
+}
+
+test("secrets are redacted at any depth", () => {
+    const logged = redact({
+        body: { username: "alice", password: "hunter22", newPassword: "hunter23" },
+        session: { refreshToken: "abc", nested: [{ accessToken: "def" }] },
+        headers: { authorization: "Bearer xyz", cookie: "accessToken=xyz" },
+        chunk: Buffer.alloc(1024)
+    })
+
+    assert.deepEqual(logged, {
+        body: { username: "alice", password: "[REDACTED]", newPassword: "[REDACTED]" },
+        session: { refreshToken: "[REDACTED]", nested: [{ accessToken: "[REDACTED]" }] },
+        headers: { authorization: "[REDACTED]", cookie: "[REDACTED]" },
+        chunk: "[Buffer 1024 bytes]"
+    })
+    assert.equal(redactUrl("/verify?token=abc&next=/home"), "/verify?token=[REDACTED]&next=/home")
+})
+
+test("log lines are JSON with the level, message and surrounding context", async (t) => {
+    const lines = await captureLogs(t, () =>
+        withLogContext({ requestId: "req-1" }, async () => {
+            await Promise.resolve()
+            logger.error("Upload failed", { err: new Error("boom"), folder: "videos" })
+        })
+    )
+
+    assert.equal(lines.length, 1)
+    const [line] = lines
+    assert.equal(line.level, "error")
+    assert.equal(line.msg, "Upload failed")
+    assert.equal(line.requestId, "req-1")
+    assert.equal(line.folder, "videos")
+    assert.equal(line.err.message, "boom")
+    assert.ok(line.err.stack)
+})
+
+test("LOG_LEVEL drops lines below the threshold", async (t) => {
+    const lines = await captureLogs(t, () => {
+        process.env.LOG_LEVEL = "warn"
+        logger.info("not shown")
+        logger.warn("shown")
+    })
+
+    assert.deepEqual(lines.map((line) => line.msg), ["shown"])
+})
+
+test("requests get an X-Request-Id that tags their access and error logs", async (t) => {
+    const baseUrl = listen(t)
+
+    const lines = await captureLogs(t, async () => {
+        const minted = await fetch(`${baseUrl}/healthcheck`)
+        assert.match(minted.headers.get("x-request-id"), /^[0-9a-f-]{36}$/)
+
+        const forwarded = await fetch(`${baseUrl}/users/login`, {
+            method: "POST",
+            headers: { "content-type": "application/json", "x-request-id": "upstream-42" },
+            body: JSON.stringify({ usernameOrEmail: "", password: "secret-password" })
+        })
+        assert.equal(forwarded.status, 400)
+        assert.equal(forwarded.headers.get("x-request-id"), "upstream-42")
+
+        // the access log is written once the response has closed
+        await new Promise((resolve) => setTimeout(resolve, 50))
+    })
+
+    const forRequest = lines.filter((line) => line.requestId === "upstream-42")
+    const access = forRequest.find((line) => line.msg === "request completed")
+    assert.equal(access.status, 400)
+    assert.equal(access.method, "POST")
+    assert.equal(typeof access.durationMs, "number")
+
+    const failure = forRequest.find((line) => line.level === "warn")
+    assert.equal(failure.msg, "Validation failed")
+    assert.equal(failure.body.password, "[REDACTED]")
+    assert.ok(!JSON.stringify(lines).includes("secret-password"))
+})
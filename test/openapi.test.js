@@ -0,0 +1,52 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { app } from "../src/app.js"
+import { apiRouters } from "../src/routes/index.js"
+import docsRouter from "../src/routes/docs.routes.js"
+import { listRoutes, routeKey } from "../src/docs/routes.js"
+import { OPERATIONS } from "../src/docs/operations.js"
+
+// keep access logs out of the test output
+process.env.LOG_LEVEL = "silent"
+
+const routes = listRoutes()
+
+test("every router and route on the app is mounted through the documented table", () => {
+    const known = new Set([...Object.values(apiRouters), docsRouter])
+    const stray = app.router.stack
+        .filter((layer) => layer.route || Array.isArray(layer.handle.stack))
+        .filter((layer) => !known.has(layer.handle))
+        .map((layer) => layer.route?.path || layer.name)
+
+    assert.deepEqual(stray, [], "mount routers through apiRouters in src/routes/index.js")
+})
+
+test("every mounted route has an entry in OPERATIONS", () => {
+    const undocumented = routes.map(routeKey).filter((key) => !OPERATIONS[key]?.summary)
+
+    assert.deepEqual(undocumented, [], "add these routes to src/docs/operations.js")
+})
+
+test("OPERATIONS has no entries for routes that no longer exist", () => {
+    const mounted = new Set(routes.map(routeKey))
+    const stale = Object.keys(OPERATIONS).filter((key) => !mounted.has(key))
+
+    assert.deepEqual(stale, [], "remove these entries from src/docs/operations.js")
+})
+
+test("GET /api/v1/openapi.json serves every route", async (t) => {
+    const server = app.listen(0)
+    t.after(() => server.close())
+
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/v1/openapi.json`)
+    assert.equal(response.status, 200)
+
+    const document = await response.json()
+    assert.match(document.openapi, /^3\./)
+
+    for (const route of routes) {
+        const operation = document.paths[route.path]?.[route.method.toLowerCase()]
+        assert.ok(operation, `${routeKey(route)} is missing from the document`)
+        assert.equal(operation.summary, OPERATIONS[routeKey(route)].summary)
+    }
+})